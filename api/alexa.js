@@ -3,6 +3,7 @@ const admin = require('firebase-admin');
 const express = require('express');
 const { ExpressAdapter } = require('ask-sdk-express-adapter');
 const getRawBody = require('raw-body');
+const fs = require('fs');
 
 // ============================================================
 // FIREBASE INITIALIZATION
@@ -66,20 +67,341 @@ async function ensureFirebaseInitialized() {
   }
 }
 
+// ============================================================
+// STORAGE
+// ============================================================
+
+// Credentials and attendance data go through a store, picked with the
+// STORAGE_BACKEND environment variable:
+// - firestore (the default): Cloud Firestore through firebase-admin
+// - memory: kept in this process only, for running offline
+// - file: a JSON file at STORAGE_FILE (attendance-data.json by default)
+//
+// Every store has the same methods:
+// - getCredentials(id), findCredentialsByEmail(email) and
+//   createCredentials(id, data) for credentials documents, keyed by Google
+//   uid or "alexa-" plus the Alexa user ID. createdAt is set by the store.
+// - getAttendance(key) for the settings document (sessions, subjects and
+//   settings), or null, and updateAttendance(key, fields) to replace some
+//   of its top-level fields. An undefined value removes the field.
+// - getMonths(key, months) for day data by YYYY-MM month, all of them when
+//   months is null. Months without a document are left out.
+// - runAttendanceTransaction(key, months, update) to read and write a
+//   user's documents atomically. update gets { settings, months, historyId }
+//   (historyId is free for a new history entry) and returns { settings,
+//   months, history, result }: fields to replace on the settings document,
+//   on each month and on each history entry by id. It may run more than
+//   once and must not have side effects. Written months, and the settings
+//   document with them, get an updatedAt timestamp. With a historyLimit,
+//   update also gets `history`, the newest history entries read in the same
+//   transaction, and months may be a function of those entries that returns
+//   the months to read.
+// - getRecentHistory(key, limit) for change history entries, newest first.
+
+// How many times Firestore runs a transaction before giving up when other
+// writes keep changing the documents it read
+const TRANSACTION_ATTEMPTS = 5;
+
+// Firestore has no undefined values, so removed fields become deletes
+function toFirestoreFields(fields) {
+  const converted = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    converted[field] = value === undefined ? admin.firestore.FieldValue.delete() : value;
+  });
+  return converted;
+}
+
+function createFirestoreStore() {
+  async function getDb() {
+    await ensureFirebaseInitialized();
+    return admin.firestore();
+  }
+  
+  // Replace just the given top-level fields of a document
+  function setFields(writer, ref, fields) {
+    writer.set(ref, toFirestoreFields(fields), { mergeFields: Object.keys(fields) });
+  }
+  
+  return {
+    async getCredentials(id) {
+      const db = await getDb();
+      const doc = await db.collection('credentials').doc(id).get();
+      return doc.exists ? doc.data() : null;
+    },
+    
+    async findCredentialsByEmail(email) {
+      const db = await getDb();
+      const snap = await db.collection('credentials')
+        .where('email', '==', email)
+        .limit(1)
+        .get();
+      if (snap.empty) return null;
+      return { id: snap.docs[0].id, data: snap.docs[0].data() || {} };
+    },
+    
+    async createCredentials(id, data) {
+      const db = await getDb();
+      await db.collection('credentials').doc(id).set({
+        ...data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    },
+    
+    async getAttendance(key) {
+      const db = await getDb();
+      const doc = await db.collection('attendance').doc(key).get();
+      return doc.exists ? doc.data() : null;
+    },
+    
+    async updateAttendance(key, fields) {
+      const db = await getDb();
+      await db.collection('attendance').doc(key).set(toFirestoreFields(fields), { mergeFields: Object.keys(fields) });
+    },
+    
+    async getMonths(key, months) {
+      const db = await getDb();
+      const monthsRef = db.collection('attendance').doc(key).collection('months');
+      const docs = months === null
+        ? (await monthsRef.get()).docs
+        : await Promise.all(months.map(month => monthsRef.doc(month).get()));
+      
+      const result = {};
+      docs.filter(doc => doc.exists).forEach(doc => {
+        result[doc.id] = doc.data();
+      });
+      return result;
+    },
+    
+    async runAttendanceTransaction(key, months, update, historyLimit = 0) {
+      const db = await getDb();
+      const docRef = db.collection('attendance').doc(key);
+      
+      return db.runTransaction(async transaction => {
+        let history = [];
+        if (historyLimit > 0) {
+          const snap = await transaction.get(docRef.collection('history').orderBy('changedAt', 'desc').limit(historyLimit));
+          history = snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        }
+        const monthList = typeof months === 'function' ? months(history) : months;
+        const monthRefs = monthList.map(month => docRef.collection('months').doc(month));
+        
+        const [doc, ...monthDocs] = await Promise.all([docRef, ...monthRefs].map(ref => transaction.get(ref)));
+        const current = {
+          settings: doc.exists ? doc.data() : null,
+          months: {},
+          history,
+          historyId: docRef.collection('history').doc().id
+        };
+        monthList.forEach((month, index) => {
+          current.months[month] = monthDocs[index].exists ? monthDocs[index].data() : null;
+        });
+        
+        const { settings, months: monthUpdates = {}, history: historyUpdates = {}, result } = update(current);
+        const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        const monthsWritten = Object.keys(monthUpdates).length > 0;
+        
+        Object.entries(monthUpdates).forEach(([month, fields]) => {
+          setFields(transaction, docRef.collection('months').doc(month), { ...fields, updatedAt });
+        });
+        if (settings || monthsWritten) {
+          setFields(transaction, docRef, monthsWritten ? { ...settings, updatedAt } : settings);
+        }
+        Object.entries(historyUpdates).forEach(([id, fields]) => {
+          setFields(transaction, docRef.collection('history').doc(id), fields);
+        });
+        return result;
+      }, { maxAttempts: TRANSACTION_ATTEMPTS });
+    },
+    
+    async getRecentHistory(key, limit) {
+      const db = await getDb();
+      const snap = await db.collection('attendance').doc(key)
+        .collection('history')
+        .orderBy('changedAt', 'desc')
+        .limit(limit)
+        .get();
+      return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+  };
+}
+
+// Store kept in `data` ({ credentials, attendance }), calling onWrite after
+// every change. Reads and writes hand out copies, so callers can't change
+// stored data by accident.
+function createMemoryStore(data = {}, onWrite = () => {}) {
+  data.credentials = data.credentials || {};
+  data.attendance = data.attendance || {};
+  
+  const copy = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+  const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 10)}`;
+  
+  function getUser(key) {
+    data.attendance[key] = data.attendance[key] || { settings: null, months: {}, history: {} };
+    return data.attendance[key];
+  }
+  
+  function setFields(target, fields) {
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === undefined) {
+        delete target[field];
+      } else {
+        target[field] = copy(value);
+      }
+    });
+    return target;
+  }
+  
+  function readHistory(key, limit) {
+    const history = data.attendance[key] ? data.attendance[key].history : {};
+    return Object.entries(history)
+      .map(([id, entry]) => ({ id, ...copy(entry) }))
+      .sort((a, b) => (a.changedAt < b.changedAt ? 1 : a.changedAt > b.changedAt ? -1 : 0))
+      .slice(0, limit);
+  }
+  
+  return {
+    async getCredentials(id) {
+      return copy(data.credentials[id]);
+    },
+    
+    async findCredentialsByEmail(email) {
+      const id = Object.keys(data.credentials).find(id => data.credentials[id].email === email);
+      return id ? { id, data: copy(data.credentials[id]) } : null;
+    },
+    
+    async createCredentials(id, fields) {
+      data.credentials[id] = { ...copy(fields), createdAt: new Date().toISOString() };
+      onWrite();
+    },
+    
+    async getAttendance(key) {
+      return data.attendance[key] ? copy(data.attendance[key].settings) : null;
+    },
+    
+    async updateAttendance(key, fields) {
+      const user = getUser(key);
+      user.settings = setFields(user.settings || {}, fields);
+      onWrite();
+    },
+    
+    async getMonths(key, months) {
+      const stored = data.attendance[key] ? data.attendance[key].months : {};
+      const result = {};
+      (months === null ? Object.keys(stored) : months).forEach(month => {
+        if (stored[month]) result[month] = copy(stored[month]);
+      });
+      return result;
+    },
+    
+    // Nothing else can run between the reads and writes here, since update
+    // is synchronous
+    async runAttendanceTransaction(key, months, update, historyLimit = 0) {
+      const user = getUser(key);
+      const history = historyLimit > 0 ? readHistory(key, historyLimit) : [];
+      const current = { settings: copy(user.settings), months: {}, history, historyId: newId() };
+      (typeof months === 'function' ? months(history) : months).forEach(month => {
+        current.months[month] = copy(user.months[month]);
+      });
+      
+      const { settings, months: monthUpdates = {}, history: historyUpdates = {}, result } = update(current);
+      const updatedAt = new Date().toISOString();
+      const monthsWritten = Object.keys(monthUpdates).length > 0;
+      
+      Object.entries(monthUpdates).forEach(([month, fields]) => {
+        user.months[month] = setFields(user.months[month] || {}, { ...fields, updatedAt });
+      });
+      if (settings || monthsWritten) {
+        user.settings = setFields(user.settings || {}, monthsWritten ? { ...settings, updatedAt } : settings);
+      }
+      Object.entries(historyUpdates).forEach(([id, fields]) => {
+        user.history[id] = setFields(user.history[id] || {}, fields);
+      });
+      onWrite();
+      return result;
+    },
+    
+    async getRecentHistory(key, limit) {
+      return readHistory(key, limit);
+    }
+  };
+}
+
+// Memory store saved to a JSON file after every change. Meant for one
+// process running locally, not for several instances sharing the file.
+function createFileStore(filePath) {
+  const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  
+  return createMemoryStore(data, () => {
+    // Write to a temporary file first so a crash can't leave half a file
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  });
+}
+
+const STORAGE_BACKENDS = {
+  firestore: () => createFirestoreStore(),
+  memory: () => createMemoryStore(),
+  file: () => createFileStore(process.env.STORAGE_FILE || 'attendance-data.json')
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const backend = process.env.STORAGE_BACKEND || 'firestore';
+    if (!STORAGE_BACKENDS[backend]) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+    }
+    store = STORAGE_BACKENDS[backend]();
+    console.log(`Using ${backend} storage`);
+  }
+  return store;
+}
+
+// Use another store, e.g. a memory store with test data
+function setStore(newStore) {
+  store = newStore;
+}
+
 // ============================================================
 // UTILITY FUNCTIONS
 // ============================================================
 
-function getFormattedDate(date = new Date()) {
+// Format a moment as YYYY-MM-DD, in the given IANA time zone when one is known
+function getFormattedDate(date = new Date(), timeZone = null) {
   const d = new Date(date);
+  
+  if (timeZone) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return d.toLocaleDateString('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    } catch (error) {
+      console.error(`Invalid time zone ${timeZone}, using server time:`, error);
+    }
+  }
+  
   const year = d.getFullYear();
   const month = String(d.getMonth() + 1).padStart(2, '0');
   const day = String(d.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
-function getLocalDate() {
-  return new Date();
+// Day of week (0 = Sunday) of a YYYY-MM-DD date, independent of the server clock
+function getDayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+// Shift a YYYY-MM-DD date string by a number of days
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// Whole days from one YYYY-MM-DD date to another (negative if earlier)
+function daysBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000);
 }
 
 function generateSessionCode(sessionName) {
@@ -88,24 +410,33 @@ function generateSessionCode(sessionName) {
   return base + random;
 }
 
-function formatAlexaDate(dateStr) {
+function formatAlexaDate(dateStr, t = getTranslator()) {
   try {
     const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', { 
+    return date.toLocaleDateString(t.locale, { 
       year: 'numeric', 
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone: 'UTC'
     });
   } catch (error) {
     return dateStr;
   }
 }
 
-function getYearMonthFromDate(dateStr = null) {
-  const date = dateStr ? new Date(dateStr) : new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
+// Date without the year, e.g. "October 5", for days within one month
+function formatMonthDay(dateStr, t = getTranslator()) {
+  return new Date(dateStr).toLocaleDateString(t.locale, { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Month an AMAZON.DATE value falls in, or starts in for longer periods;
+// the current month when there is none
+function getYearMonthFromDate(dateStr = null, timeZone = null) {
+  const period = resolveDatePeriod(dateStr);
+  if (!period) {
+    return getFormattedDate(new Date(), timeZone).substring(0, 7);
+  }
+  return period.startDate.substring(0, 7);
 }
 
 function getAccessToken(handlerInput) {
@@ -117,16 +448,47 @@ function getAccessToken(handlerInput) {
 }
 
 function requireAccountLinking(handlerInput) {
+  const t = getRequestTranslator(handlerInput);
   return handlerInput.responseBuilder
-    .speak('Please link your account to continue. I sent a card to your Alexa app.')
+    .speak(t('account.linkRequired'))
     .withLinkAccountCard()
     .getResponse();
 }
 
 // Check if a date is a non-working day
 function isNonWorkingDay(dateStr, userData) {
-  const date = new Date(dateStr);
-  const dayOfWeek = date.getDay();
+  if (isWeeklyDayOff(getDayOfWeek(dateStr), userData)) return true;
+  return (userData.offDayRules || []).some(rule => matchesOffDayRule(dateStr, rule));
+}
+
+// Off-day rules for days that aren't off every week:
+// - { type: 'nth-weekday', weekday, weeks }: the nth weekday of each month,
+//   with -1 for the last one, e.g. { weekday: 6, weeks: [2, 4] }
+// - { type: 'alternate', weekday, anchorDate }: every other weekday,
+//   counting from anchorDate, which is itself off
+function matchesOffDayRule(dateStr, rule) {
+  if (getDayOfWeek(dateStr) !== rule.weekday) return false;
+  
+  if (rule.type === 'nth-weekday') {
+    const week = Math.ceil(Number(dateStr.substring(8, 10)) / 7);
+    const isLast = addDays(dateStr, 7).substring(0, 7) !== dateStr.substring(0, 7);
+    return rule.weeks.includes(week) || (isLast && rule.weeks.includes(-1));
+  }
+  
+  if (rule.type === 'alternate') {
+    return daysBetween(rule.anchorDate, dateStr) % 14 === 0;
+  }
+  
+  return false;
+}
+
+// Check if a day of the week (0 = Sunday) is off every week. `daysOff`
+// lists the whole week once the user has set it; older documents only have
+// `weeklyDaysOff`, which adds to the default Sunday.
+function isWeeklyDayOff(dayOfWeek, userData) {
+  if (Array.isArray(userData.daysOff)) {
+    return userData.daysOff.includes(dayOfWeek);
+  }
   
   if (dayOfWeek === 0) return true;
   
@@ -136,564 +498,5545 @@ function isNonWorkingDay(dateStr, userData) {
   return false;
 }
 
-// ============================================================
-// ALEXA USER PROFILE & AUTHENTICATION
-// ============================================================
+// How far ahead a holiday may be marked or imported
+const MAX_FUTURE_HOLIDAY_DAYS = 365;
 
-// Get Alexa user profile from account linking
-async function getAlexaUserProfile(accessToken) {
-  try {
-    const response = await fetch('https://api.amazon.com/user/profile', {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-    
-    if (response.ok) {
-      return await response.json();
+// Longest range that can be marked in one utterance
+const MAX_RANGE_DAYS = 92;
+
+// Check that a spoken day can be marked with the given status.
+// Returns text to speak back, or null when the day is allowed.
+function checkMarkDate(dateValue, status, timeZone = null, t = getTranslator()) {
+  const today = getFormattedDate(new Date(), timeZone);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
+    return t('mark.singleDayNeeded');
+  }
+
+  if (dateValue > today) {
+    if (status !== 'holiday') {
+      return t('mark.futureDay', { date: formatAlexaDate(dateValue, t) });
+    }
+    if (dateValue > addDays(today, MAX_FUTURE_HOLIDAY_DAYS)) {
+      return t('mark.holidayTooFar');
     }
-  } catch (error) {
-    console.error('Error fetching Alexa user profile:', error);
   }
+
   return null;
 }
-// ============================================================
-// DATABASE OPERATIONS - USER MANAGEMENT (FLAT STRUCTURE)
-// ============================================================
 
-// FIXED: Find Google user by email in flat credentials collection
-async function findGoogleUserByEmail(email) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
-  
-  try {
-    const snap = await db.collection('credentials')
-      .where('email', '==', email)
-      .limit(1)
-      .get();
+// Resolve the optional "date" slot on the mark intents to a single day,
+// falling back to a day just touched on the month calendar.
+// Returns { date, isToday } or { error } with text to speak back.
+function resolveMarkDate(handlerInput, status) {
+  const timeZone = getRequestTimeZone(handlerInput);
+  const today = getFormattedDate(new Date(), timeZone);
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date') || sessionAttributes.selectedDate;
 
-    if (snap.empty) {
-      return null;
-    }
+  if (sessionAttributes.selectedDate) {
+    delete sessionAttributes.selectedDate;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  }
 
-    const doc = snap.docs[0];
-    const data = doc.data() || {};
-    console.log(`Found matching Google user: ${doc.id} for email: ${email}`);
-    return {
-      uid: doc.id,
-      key: data.key || doc.id,
-      email: data.email,
-      name: data.name || data.username || null
-    };
-  } catch (error) {
-    console.error('Error finding Google user by email:', error);
-    return null;
+  if (!dateValue) {
+    return { date: today, isToday: true };
+  }
+
+  const error = checkMarkDate(dateValue, status, timeZone, getRequestTranslator(handlerInput));
+  if (error) return { error };
+
+  return { date: dateValue, isToday: dateValue === today };
+}
+
+// Resolve the optional "startDate"/"endDate" slots on the mark intents.
+// Returns null when no range was spoken, { startDate, endDate } or { error }.
+function resolveMarkRange(handlerInput, status) {
+  const startDate = Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate');
+  const endDate = Alexa.getSlotValue(handlerInput.requestEnvelope, 'endDate');
+
+  if (!startDate && !endDate) return null;
+
+  const t = getRequestTranslator(handlerInput);
+  if (!startDate || !endDate) {
+    return { error: t('mark.rangeNeedsBothDays') };
   }
+
+  const error = checkMarkRange(startDate, endDate, status, getRequestTimeZone(handlerInput), t);
+  if (error) return { error };
+
+  return { startDate, endDate };
 }
 
-// FIXED: Create Alexa user document in flat structure with "alexa-" prefix
-async function createAlexaUserDocument(alexaUserId, alexaProfile, linkedGoogleUid = null, sharedKey = null) {
-  const db = admin.firestore();
+// Check that a range of days can be marked with the given status.
+// Returns text to speak back, or null when the range is allowed.
+function checkMarkRange(startDate, endDate, status, timeZone = null, t = getTranslator()) {
+  const error = checkMarkDate(startDate, status, timeZone, t) || checkMarkDate(endDate, status, timeZone, t);
+  if (error) return error;
+
+  if (endDate < startDate) {
+    return t('mark.rangeReversed', { startDate: formatAlexaDate(startDate, t), endDate: formatAlexaDate(endDate, t) });
+  }
+
+  if (addDays(startDate, MAX_RANGE_DAYS - 1) < endDate) {
+    return t('mark.rangeTooLong', { count: MAX_RANGE_DAYS });
+  }
+
+  return null;
+}
+
+// First and last month of each AMAZON.DATE season; winter runs into the next year
+const SEASON_MONTHS = { SP: [3, 5], SU: [6, 8], FA: [9, 11], WI: [12, 14] };
+
+// Longest period an attendance question may cover
+const MAX_PERIOD_DAYS = 366;
+
+// First day of one month to the last day of another; months past 12 run
+// into the next year
+function getMonthsPeriod(year, firstMonth, lastMonth) {
+  const toDate = (month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().substring(0, 10);
+  return { startDate: toDate(firstMonth, 1), endDate: toDate(lastMonth + 1, 0) };
+}
+
+// Resolve an AMAZON.DATE value to the days it covers: a day, a month
+// ("2024-06"), a year, a week ("2024-W05"), a weekend ("2024-W05-WE"), a
+// quarter ("2024-Q3") or a season ("2024-SU"). Returns { startDate, endDate },
+// or null for values that can't be pinned down, like "201X".
+function resolveDatePeriod(dateValue) {
+  const value = String(dateValue || '');
+  let match;
   
-  // Use "alexa-" prefix to distinguish from Google UIDs
-  const alexaDocId = `alexa-${alexaUserId}`;
-  const userKey = sharedKey || `key-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return { startDate: value, endDate: value };
   
-  const alexaUserData = {
-    alexaUserId: alexaUserId,
-    email: alexaProfile?.email || null,
-    name: alexaProfile?.name || 'Alexa User',
-    type: 'alexa',
-    key: userKey,
-    linkedGoogleUid: linkedGoogleUid || null,
-    mappedToGoogle: !!linkedGoogleUid,
-    createdAt: admin.firestore.FieldValue.serverTimestamp()
-  };
+  if ((match = /^(\d{4})-(\d{2})$/.exec(value))) {
+    return getMonthsPeriod(Number(match[1]), Number(match[2]), Number(match[2]));
+  }
   
-  await db.collection('credentials').doc(alexaDocId).set(alexaUserData);
+  if (/^\d{4}$/.test(value)) {
+    return getMonthsPeriod(Number(value), 1, 12);
+  }
   
-  console.log(`Created Alexa user document: ${alexaDocId}, key: ${userKey}, linked: ${!!linkedGoogleUid}`);
-  return { alexaDocId, userKey };
-}
-
-// FIXED: Check if Alexa user already exists
-async function getExistingAlexaUser(alexaUserId) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+  if ((match = /^(\d{4})-W(\d{2})(-WE)?$/.exec(value))) {
+    // ISO weeks start on Monday; week 1 is the one with January 4th in it
+    const jan4 = `${match[1]}-01-04`;
+    const monday = addDays(jan4, -((getDayOfWeek(jan4) + 6) % 7) + (Number(match[2]) - 1) * 7);
+    if (match[3]) return { startDate: addDays(monday, 5), endDate: addDays(monday, 6) };
+    return { startDate: monday, endDate: addDays(monday, 6) };
+  }
   
-  const alexaDocId = `alexa-${alexaUserId}`;
-  const alexaDoc = await db.collection('credentials').doc(alexaDocId).get();
+  if ((match = /^(\d{4})-Q([1-4])$/.exec(value))) {
+    const quarter = Number(match[2]);
+    return getMonthsPeriod(Number(match[1]), quarter * 3 - 2, quarter * 3);
+  }
   
-  if (alexaDoc.exists) {
-    const data = alexaDoc.data();
-    return {
-      exists: true,
-      alexaDocId,
-      key: data.key,
-      linkedGoogleUid: data.linkedGoogleUid || null,
-      mappedToGoogle: data.mappedToGoogle || false
-    };
+  if ((match = /^(\d{4})-(SP|SU|FA|WI)$/.exec(value))) {
+    const [firstMonth, lastMonth] = SEASON_MONTHS[match[2]];
+    return getMonthsPeriod(Number(match[1]), firstMonth, lastMonth);
   }
   
-  return { exists: false };
+  return null;
 }
 
-// FIXED: Main user mapping function - simplified flat structure
-async function findOrCreateUserMapping(handlerInput, alexaUserId, accessToken) {
-  await ensureFirebaseInitialized();
+// Resolve an AMAZON.DURATION value like "P2W" or "P3M" to the period of that
+// length ending today, as in "the last two weeks". Returns null for
+// durations without whole days, like "PT2H".
+function resolveDurationPeriod(duration, today) {
+  const match = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?$/.exec(String(duration || ''));
+  if (!match || !match.slice(1).some(Boolean)) return null;
   
-  try {
-    // Check if Alexa user already exists
-    const existingAlexa = await getExistingAlexaUser(alexaUserId);
-    
-    if (existingAlexa.exists) {
-      console.log(`Alexa user already exists: ${existingAlexa.alexaDocId}, key: ${existingAlexa.key}`);
-      return existingAlexa.key; // Return the key for attendance access
+  const [years, months, weeks, days] = match.slice(1).map(n => Number(n || 0));
+  const [year, month, day] = today.split('-').map(Number);
+  // Go back whole years and months first, keeping the day within the month
+  // it lands in, so a month before March 31st is February 28th, not March 3rd
+  const monthIndex = year * 12 + month - 1 - years * 12 - months;
+  const lastDay = new Date(Date.UTC(Math.floor(monthIndex / 12), monthIndex % 12 + 1, 0)).getUTCDate();
+  const sameDay = new Date(Date.UTC(Math.floor(monthIndex / 12), monthIndex % 12, Math.min(day, lastDay)));
+  return { startDate: addDays(sameDay.toISOString().substring(0, 10), 1 - weeks * 7 - days), endDate: today };
+}
+
+// Resolve the period an attendance question is about from its "date" or
+// "startDate"/"endDate" AMAZON.DATE slots or its "duration" AMAZON.DURATION
+// slot. Returns { startDate, endDate }, { error } with text to speak back,
+// or null when no period was given.
+function resolvePeriodSlots(handlerInput) {
+  const t = getRequestTranslator(handlerInput);
+  const getSlot = name => Alexa.getSlotValue(handlerInput.requestEnvelope, name);
+  let period;
+  
+  if (getSlot('startDate') || getSlot('endDate')) {
+    const start = resolveDatePeriod(getSlot('startDate'));
+    const end = resolveDatePeriod(getSlot('endDate'));
+    if (!start || !end) {
+      return { error: t('mark.rangeNeedsBothDays') };
     }
-    
-    // Get Alexa user profile
-    const alexaProfile = await getAlexaUserProfile(accessToken);
-    const alexaEmail = alexaProfile && alexaProfile.email;
-    
-    if (alexaEmail) {
-      console.log(`Looking for Google user with email: ${alexaEmail}`);
-      
-      // Search for existing Google user with matching email
-      const googleUser = await findGoogleUserByEmail(alexaEmail);
-      
-      if (googleUser) {
-        console.log(`Found matching Google user: ${googleUser.uid}, sharing key: ${googleUser.key}`);
-        
-        // Create Alexa user linked to Google user (share the same key)
-        const { userKey } = await createAlexaUserDocument(
-          alexaUserId, 
-          alexaProfile, 
-          googleUser.uid, 
-          googleUser.key
-        );
-        
-        return userKey;
-      }
-      
-      console.log('No matching Google user found by email');
+    if (end.endDate < start.startDate) {
+      return { error: t('mark.rangeReversed', { startDate: formatAlexaDate(start.startDate, t), endDate: formatAlexaDate(end.endDate, t) }) };
     }
-    
-    // If no existing Google user found, create standalone Alexa user
-    console.log('Creating standalone Alexa user');
-    const { userKey } = await createAlexaUserDocument(alexaUserId, alexaProfile, null, null);
-    
-    return userKey;
-    
-  } catch (error) {
-    console.error('Error in findOrCreateUserMapping:', error);
-    // Fallback: create standalone Alexa user
-    const { userKey } = await createAlexaUserDocument(alexaUserId, null, null, null);
-    return userKey;
+    period = { startDate: start.startDate, endDate: end.endDate };
+  } else if (getSlot('duration')) {
+    period = resolveDurationPeriod(getSlot('duration'), getFormattedDate(new Date(), getRequestTimeZone(handlerInput)));
+  } else if (getSlot('date')) {
+    period = resolveDatePeriod(getSlot('date'));
+  } else {
+    return null;
+  }
+  
+  if (!period) {
+    return { error: t('period.unknown') };
   }
+  if (addDays(period.startDate, MAX_PERIOD_DAYS - 1) < period.endDate) {
+    return { error: t('period.tooLong', { count: MAX_PERIOD_DAYS }) };
+  }
+  return period;
 }
 
-// FIXED: Get attendance key - works with flat structure
-async function getAttendanceKey(identifier) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
-  
-  try {
-    // Check if this is an Alexa user (starts with "alexa-" or raw Alexa ID)
-    let docId = identifier;
-    
-    if (identifier.startsWith('amzn1.ask.account.')) {
-      docId = `alexa-${identifier}`;
-    }
-    
-    const userDoc = await db.collection('credentials').doc(docId).get();
-    
-    if (userDoc.exists) {
-      const data = userDoc.data();
-      
-      // If it's an Alexa user linked to Google, get the Google user's key
-      if (data.linkedGoogleUid && data.mappedToGoogle) {
-        const googleDoc = await db.collection('credentials').doc(data.linkedGoogleUid).get();
-        if (googleDoc.exists && googleDoc.data().key) {
-          return String(googleDoc.data().key).trim();
-        }
-      }
-      
-      // Return the user's own key
-      if (data.key) {
-        return String(data.key).trim();
-      }
-    }
-    
-    // Fallback: try as Google user directly
-    if (!identifier.startsWith('alexa-')) {
-      const googleDoc = await db.collection('credentials').doc(identifier).get();
-      if (googleDoc.exists && googleDoc.data().key) {
-        return String(googleDoc.data().key).trim();
-      }
-    }
-  } catch (error) {
-    console.error('Error getting attendance key:', error);
+// Resolve an AMAZON.DATE value to a single day for a session boundary: the
+// first day of the period it covers for 'start' and the last for 'end'.
+// Returns null for values that can't be pinned down.
+function resolveSessionDate(dateValue, boundary) {
+  const period = resolveDatePeriod(dateValue);
+  if (!period) return null;
+  return boundary === 'start' ? period.startDate : period.endDate;
+}
+
+// Every YYYY-MM-DD date from startDate to endDate inclusive
+function getDatesInRange(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
   }
-  
-  // Last resort: return the identifier itself
-  return identifier;
+  return dates;
 }
 
-// Get user key from Alexa user ID
-async function getUserKey(handlerInput) {
-  const alexaUserId = handlerInput.requestEnvelope.context.System.user.userId;
-  const accessToken = getAccessToken(handlerInput);
-  
-  if (!accessToken) {
-    throw new Error('No access token available');
+// Spoken name for a day: "today" or the full date
+function describeDay(dateStr, capitalize = false, timeZone = null, t = getTranslator()) {
+  if (dateStr === getFormattedDate(new Date(), timeZone)) {
+    return capitalize ? capitalizeFirst(t('day.today'), t) : t('day.today');
   }
-  
-  // This will create mapping if needed and return the attendance key
-  const attendanceKey = await findOrCreateUserMapping(handlerInput, alexaUserId, accessToken);
-  return attendanceKey;
+  return formatAlexaDate(dateStr, t);
 }
 
-// Helper retained for compatibility
-async function ensureUserCredentials(attendanceKey) {
-  // Just return the key - no need to create anything
-  return attendanceKey;
+// Spoken month for a YYYY-MM value, e.g. "October 2026"
+function describeMonth(yearMonth, t = getTranslator()) {
+  return new Date(yearMonth + '-01').toLocaleString(t.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function capitalizeFirst(text, t = getTranslator()) {
+  return text.charAt(0).toLocaleUpperCase(t.locale) + text.slice(1);
 }
 
 // ============================================================
-// ATTENDANCE DATA OPERATIONS
+// LOCALIZATION
 // ============================================================
 
-// FIXED: Get user data using attendance key
-async function getUserData(attendanceKey) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
+// Locale used for the web API and for requests in unsupported locales
+const DEFAULT_LOCALE = 'en-US';
+
+const translators = {};
+
+// Translator for a locale: t(key, params) looks the message up in the
+// locale's catalog (hi-IN), then the language's (hi), then English, so a
+// missing translation is spoken in English. Locales without any catalog
+// use DEFAULT_LOCALE throughout, including for dates and numbers.
+//
+// Messages are strings with {placeholders}, or plural forms like
+// { one: '...', other: '...' } picked by the `count` parameter. Number
+// parameters are formatted for the locale.
+function getTranslator(locale = DEFAULT_LOCALE) {
+  if (translators[locale]) return translators[locale];
   
-  const docRef = db.collection('attendance').doc(attendanceKey);
-  const doc = await docRef.get();
+  const language = locale.split('-')[0];
+  const supported = MESSAGES[locale] || MESSAGES[language];
+  const formatLocale = supported ? locale : DEFAULT_LOCALE;
+  const catalogs = [MESSAGES[locale], MESSAGES[language], MESSAGES.en]
+    .filter(Boolean)
+    .map(messages => ({ messages, pluralRules: new Intl.PluralRules(messages === MESSAGES.en ? 'en' : formatLocale) }));
+  const numberFormat = new Intl.NumberFormat(formatLocale, { maximumFractionDigits: 2 });
   
-  if (doc.exists) {
-    return doc.data();
-  }
+  const t = (key, params = {}) => {
+    const catalog = catalogs.find(c => c.messages[key] !== undefined);
+    if (!catalog) {
+      console.error(`Missing message ${key}`);
+      return key;
+    }
+    
+    let message = catalog.messages[key];
+    if (typeof message === 'object') {
+      message = message[catalog.pluralRules.select(params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return '';
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+  t.locale = formatLocale;
   
-  return {};
+  translators[locale] = t;
+  return t;
 }
 
-// FIXED: Update user data using attendance key
-async function updateUserData(attendanceKey, updates) {
-  await ensureFirebaseInitialized();
-  const db = admin.firestore();
-  
-  const docRef = db.collection('attendance').doc(attendanceKey);
-  await docRef.set(updates, { merge: true });
+// Translator for the request's locale
+function getRequestTranslator(handlerInput) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  if (!requestAttributes.t) {
+    requestAttributes.t = getTranslator(Alexa.getLocale(handlerInput.requestEnvelope) || DEFAULT_LOCALE);
+  }
+  return requestAttributes.t;
 }
 
-// Get day status with correct structure
-async function getDayStatus(attendanceKey, date) {
-  const userData = await getUserData(attendanceKey);
-  
-  if (userData.records && userData.records[date] !== undefined) {
-    return userData.records[date] ? 'present' : 'absent';
+// Pick the translator before any handler runs
+const LocalizationRequestInterceptor = {
+  process(handlerInput) {
+    getRequestTranslator(handlerInput);
   }
-  
-  if (userData.holidays && userData.holidays.some(h => h.date === date)) {
-    const holiday = userData.holidays.find(h => h.date === date);
-    return { status: 'holiday', name: holiday.name };
+};
+
+// Spoken messages, by locale or language. English has every message; en-IN
+// only overrides the examples that read dates day-first.
+const MESSAGES = {
+  en: {
+    'account.linkRequired': 'Please link your account to continue. I sent a card to your Alexa app.',
+
+    'day.today': 'today',
+
+    'mark.singleDayNeeded': 'Please tell me a single day, like "yesterday" or "October 3rd".',
+    'mark.futureDay': '{date} is in the future. You can only mark future days as holidays.',
+    'mark.holidayTooFar': 'You can only mark holidays up to one year ahead.',
+    'mark.rangeNeedsBothDays': 'Please tell me both the first and the last day, like "from Monday to Wednesday".',
+    'mark.rangeReversed': '{endDate} is before {startDate}. Please tell me the range again.',
+    'mark.rangeTooLong': 'You can mark at most {count} days at once.',
+    'mark.nonWorkingDay': '{day} is a non-working day. You cannot mark attendance on non-working days.',
+    'mark.noSubjectClass': '{day} is marked as {status}, so there is no {subject} class to mark.',
+    'mark.whichDays': 'Which days would you like to mark?',
+    'mark.whichDayAs': 'Which day would you like to mark as {status}?',
+    'mark.noWorkingDays': 'There are no working days from {range}.',
+    'mark.rangeWorkingDays': {
+      one: 'From {range} there is {count} working day.',
+      other: 'From {range} there are {count} working days.'
+    },
+    'mark.conflict': '{date} is marked {status}',
+    'mark.moreConflicts': ', and {count} more already have a different status',
+    'mark.confirmRange': { one: ' Should I mark it as {status}?', other: ' Should I mark all of them as {status}?' },
+    'mark.confirmRangeReprompt': 'Should I mark {range} as {status}?',
+    'mark.alreadyMarked': '{day} is already marked as {status}{inSubject}.',
+    'mark.changeExisting': '{day} is currently marked as {oldStatus}{inSubject}. Would you like to change it to {status}?',
+    'mark.changeExistingReprompt': 'Should I change the status for {day}{inSubject} to {status}?',
+    'mark.done': 'Successfully marked as {status}{inSubject} for {day}.{warning}',
+    'mark.error': 'Sorry, I encountered an error while marking attendance. Please try again.',
+    'mark.doneRange': { one: 'Okay, I\'ve marked {count} day as {status}{inSubject}.', other: 'Okay, I\'ve marked {count} days as {status}{inSubject}.' },
+    'mark.changed': 'Okay, I\'ve changed {day}{inSubject} from {oldStatus} to {status}.',
+    'mark.updateError': 'Sorry, I encountered an error while updating the status. Please try again.',
+
+    'status.present': 'present',
+    'status.absent': 'absent',
+    'status.half-day': 'half day',
+    'status.late': 'late',
+    'status.on-duty': 'on duty',
+    'status.holiday': 'holiday',
+    'status.not-enrolled': 'not enrolled',
+    'status.unmarked': 'unmarked',
+    'status.holidayFor': 'holiday for {name}',
+
+    'subject.in': ' in {subject}',
+    'subject.rollup': {
+      one: ' Across your {count} subject, overall attendance is {percentage} percent.',
+      other: ' Across your {count} subjects, overall attendance is {percentage} percent.'
+    },
+    'subject.notFound': 'You don\'t have a subject called {subject}. Say "list my subjects" to hear them, or "add subject {subject}" to create it.',
+    'subject.nameNeeded': 'Please tell me the subject name. For example, say "add subject physics".',
+    'subject.whatName': 'What is the name of the subject?',
+    'subject.exists': 'You already have a subject called {subject}.',
+    'subject.added': 'Okay, I\'ve added {subject}. You can now say "mark present for {subject}".',
+    'subject.addError': 'Sorry, I encountered an error while adding the subject. Please try again.',
+    'subject.noneYet': 'You don\'t have any subjects yet. You can add one by saying "add subject physics".',
+    'subject.list': { one: 'You have {count} subject: {names}.', other: 'You have {count} subjects: {names}.' },
+    'subject.listError': 'Sorry, I encountered an error while listing your subjects. Please try again.',
+    'subject.attendance': {
+      one: 'Your {subject} attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} class.',
+      other: 'Your {subject} attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} classes.'
+    },
+    'subject.percentage': '{subject} {percentage} percent',
+    'subject.breakdown': 'For {session}: {subjects}. Overall, {percentage} percent.',
+    'subject.attendanceError': 'Sorry, I encountered an error while fetching subject attendance. Please try again.',
+
+    'history.entryOneDay': '{date}{inSubject} from {oldValue} to {newValue}',
+    'history.entryDays': '{count} days{inSubject} from {startDate} to {endDate}',
+    'history.andCountMore': '; and {count} more',
+    'history.nothingToUndo': 'There are no changes to undo.',
+    'history.undoneDay': 'Okay, I\'ve undone your change to {date}. It\'s back to {value}.',
+    'history.undone': 'Okay, I\'ve undone your change to {change}.',
+    'history.undoError': 'Sorry, I encountered an error while undoing your last change. Please try again.',
+    'history.noneToday': 'You haven\'t changed anything today.',
+    'history.fromWeb': ' from the web app',
+    'history.fromImport': ' from a holiday import',
+    'history.wasUndone': ', which was undone',
+    'history.today': { one: 'Today you made {count} change: {changes}.', other: 'Today you made {count} changes: {changes}.' },
+    'history.fetchError': 'Sorry, I encountered an error while fetching your changes. Please try again.',
+
+    'statusCount.half-day': { one: '{count} half day', other: '{count} half days' },
+    'statusCount.late': { one: '{count} late arrival', other: '{count} late arrivals' },
+    'statusCount.on-duty': { one: '{count} day on duty', other: '{count} days on duty' },
+
+    'stats.includes': ' That includes {parts}.',
+    'stats.monthly': 'Your attendance for {month} is {percentage} percent.',
+    'stats.monthlySubject': 'Your {subject} attendance for {month} is {percentage} percent.',
+    'stats.monthlyError': 'Sorry, I encountered an error while fetching monthly attendance. Please try again.',
+    'stats.session': {
+      one: 'Your session attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} working day.',
+      other: 'Your session attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} working days.'
+    },
+    'stats.sessionSubject': {
+      one: 'Your {subject} session attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} class.',
+      other: 'Your {subject} session attendance for {session} is {percentage} percent. You have attended {presentDays} out of {count} classes.'
+    },
+    'stats.sessionError': 'Sorry, I encountered an error while fetching session attendance. Please try again.',
+    'stats.percentage': {
+      one: 'Your attendance percentage is {percentage} percent for {session}. You have attended {presentDays} out of {count} working day.',
+      other: 'Your attendance percentage is {percentage} percent for {session}. You have attended {presentDays} out of {count} working days.'
+    },
+    'stats.percentageError': 'Sorry, I encountered an error while fetching your attendance percentage. Please try again.',
+
+    'period.on': 'on {day}',
+    'period.in': 'in {month}',
+    'period.range': 'from {startDate} to {endDate}',
+    'period.stats': {
+      one: '{period} you attended {presentDays} out of {count} working day, which is {percentage} percent.',
+      other: '{period} you attended {presentDays} out of {count} working days, which is {percentage} percent.'
+    },
+    'period.statsSubject': {
+      one: '{period} you attended {presentDays} out of {count} {subject} class, which is {percentage} percent.',
+      other: '{period} you attended {presentDays} out of {count} {subject} classes, which is {percentage} percent.'
+    },
+    'period.noWorkingDays': '{period} there are no working days to count yet.',
+    'period.whichPeriod': 'Which period would you like your attendance for? For example, say "this week", "last quarter" or "from September 1st to October 15th".',
+    'period.unknown': 'Sorry, I can\'t tell which days that is. Try "this week", "last quarter" or "from September 1st to October 15th".',
+    'period.tooLong': 'You can ask about at most {count} days at once.',
+    'period.error': 'Sorry, I encountered an error while fetching attendance for that period. Please try again.',
+
+    'calendar.sessionPercentage': '{session}: {percentage}%',
+    'calendar.partial': 'half day, late or on duty',
+    'calendar.dayOff': 'day off',
+    'calendar.dayMarked': '{day} is marked as {status}.',
+    'calendar.dayUnmarked': '{day} isn\'t marked yet.',
+    'calendar.whichStatus': ' What would you like to mark it as? You can say "mark present", "mark absent", "mark half day" or "mark holiday for Diwali".',
+    'calendar.whichStatusReprompt': 'What would you like to mark {day} as?',
+    'calendar.dayError': 'Sorry, I couldn\'t open that day. Please try again.',
+
+    'lookup.whichDay': 'Which day would you like to check?',
+    'lookup.whichStatus': 'Would you like to look up present, absent, half day, late or on duty days?',
+    'lookup.unknownStatus': 'I can\'t look up "{status}" days. You can ask about present, absent, half day, late or on duty days.',
+    'lookup.dayStatus': '{day}{inSubject} is marked as {status}.',
+    'lookup.dayUnmarked': '{day}{inSubject} isn\'t marked yet.',
+    'lookup.dayOff': '{day} is a day off.',
+    'lookup.lastOn': 'You were last marked {status}{inSubject} on {day}.',
+    'lookup.lastToday': 'You were last marked {status}{inSubject} today.',
+    'lookup.lastNone': 'You haven\'t been marked {status}{inSubject} in the last year.',
+    'lookup.count': {
+      one: 'You were marked {status}{inSubject} on {count} day in {month}.',
+      other: 'You were marked {status}{inSubject} on {count} days in {month}.'
+    },
+    'lookup.countNone': 'You weren\'t marked {status}{inSubject} on any day in {month}.',
+    'lookup.days': {
+      one: 'In {month} you were marked {status}{inSubject} on {days}.',
+      other: 'In {month} you were marked {status}{inSubject} on {count} days: {days}.'
+    },
+    'lookup.run': '{startDate} to {endDate}',
+    'lookup.moreDays': { one: '{count} more day', other: '{count} more days' },
+    'lookup.error': 'Sorry, I couldn\'t look that up. Please try again.',
+
+    'unmarked.countedAbsent': {
+      one: ' {count} working day isn\'t marked and counts as absent. Say "which days haven\'t I marked" to fill it in.',
+      other: ' {count} working days aren\'t marked and count as absent. Say "which days haven\'t I marked" to fill them in.'
+    },
+    'unmarked.leftOut': {
+      one: ' {count} working day isn\'t marked and is left out until you mark it.',
+      other: ' {count} working days aren\'t marked and are left out until you mark them.'
+    },
+    'unmarked.none': 'Every working day in {session} so far is marked.',
+    'unmarked.list': {
+      one: 'You have {count} unmarked working day in {session}: {days}.',
+      other: 'You have {count} unmarked working days in {session}: {days}.'
+    },
+    'unmarked.offer': {
+      one: 'Would you like to mark it now?',
+      other: 'Would you like to go through them now?'
+    },
+    'unmarked.offerRecent': 'Would you like to go through the {count} most recent ones now?',
+    'unmarked.error': 'Sorry, I couldn\'t check for unmarked days. Please try again.',
+
+    'backfill.start': 'For each day, say present, absent, holiday or skip.',
+    'backfill.ask': '{day}?',
+    'backfill.marked': '{day} marked as {status}.',
+    'backfill.skipped': 'Skipped.',
+    'backfill.done': {
+      one: 'That was the last one. You filled in {count} day.',
+      other: 'That was the last one. You filled in {count} days.'
+    },
+    'backfill.error': 'Sorry, I couldn\'t save that day. Please try again, or say skip.',
+
+    'unmarkedPolicy.help': 'Unmarked working days can count as absent or be left out of your percentages. Say "count unmarked days as absent" or "leave unmarked days out".',
+    'unmarkedPolicy.reprompt': 'Should unmarked days count as absent, or be left out?',
+    'unmarkedPolicy.set.absent': 'Okay, unmarked working days now count as absent.',
+    'unmarkedPolicy.set.exclude': 'Okay, unmarked working days are now left out of your percentages until you mark them.',
+    'unmarkedPolicy.error': 'Sorry, I couldn\'t change how unmarked days are counted. Please try again.',
+
+    'target.warning': ' Heads up: your attendance for {session} is now {percentage} percent, below your target of {target} percent.',
+    'target.warningUnreachable': ' You can no longer reach it before the session ends.',
+    'target.warningPresentsNeeded': { one: ' You need {count} present day in a row to get back.', other: ' You need {count} present days in a row to get back.' },
+    'target.notSet': 'You haven\'t set an attendance target yet. You can set one by saying "set my attendance target to 75 percent".',
+    'target.whatPercentage': 'What target percentage would you like?',
+    'target.outOfRange': 'Please tell me a target between 1 and 100 percent. For example, say "set my attendance target to 75 percent".',
+    'target.sessionNotFound': 'Session "{session}" not found. Please tell me which session the target is for.',
+    'target.whichSession': 'Which session is the target for?',
+    'target.set': 'Okay, your attendance target is now {percent} percent. I\'ll warn you if an absence takes you below it.',
+    'target.setForSession': 'Okay, your attendance target for {session} is now {percent} percent. I\'ll warn you if an absence takes you below it.',
+    'target.setError': 'Sorry, I encountered an error while setting your attendance target. Please try again.',
+    'target.remainingDays': { one: '{count} working day left in {session}', other: '{count} working days left in {session}' },
+    'target.absencesUnreachable': 'Even if you attend all {remaining}, you can\'t reach {target} percent. You\'re at {percentage} percent now.',
+    'target.absencesNone': 'You can\'t miss any more days and stay at {target} percent. There are {remaining}.',
+    'target.absencesAllowed': {
+      one: 'You can miss {count} more day and stay at {target} percent. There are {remaining}.',
+      other: 'You can miss {count} more days and stay at {target} percent. There are {remaining}.'
+    },
+    'target.alreadyAbove': 'You\'re already at or above {target} percent, with {percentage} percent for {session}.',
+    'target.noWorkingDaysYet': 'No working days have been counted in {session} yet, so there\'s no attendance to compare with your target of {target} percent.',
+    'target.presentsUnreachable': 'You\'re at {percentage} percent, and with {remaining} you can\'t get back to {target} percent.',
+    'target.presentsNeeded': {
+      one: 'You\'re at {percentage} percent. You need {count} present day in a row to get back to {target} percent.',
+      other: 'You\'re at {percentage} percent. You need {count} present days in a row to get back to {target} percent.'
+    },
+    'target.projectionError': 'Sorry, I encountered an error while working that out. Please try again.',
+
+    'session.current': 'current session',
+    'session.currentYear': 'current year',
+    'session.noneYet': 'You don\'t have any sessions yet. Please create a session first by saying "create session".',
+    'session.presetTag': ' (Alexa preset)',
+    'session.available': 'Your available sessions are: {names}',
+    'session.currentPreset': '. Your current Alexa preset session is {session}.',
+    'session.whichPreset': ' Which session would you like to set as Alexa preset?',
+    'session.whichPresetReprompt': 'Please tell me which session you want to set as Alexa preset.',
+    'session.whichPresetShort': 'Which session should I set as Alexa preset?',
+    'session.fetchError': 'Sorry, I encountered an error while fetching your sessions. Please try again.',
+    'session.presetSet': 'Okay, I\'ve set {session} as your Alexa preset session. Now when you ask for session attendance, I\'ll automatically use this session.',
+    'session.presetNotFound': 'Session "{session}" not found. Please tell me which session you want to set as Alexa preset.',
+    'session.presetArchived': '{session} is archived, so it can\'t be your Alexa preset. Please tell me another session.',
+    'session.presetSetError': 'Sorry, I encountered an error while setting Alexa preset session. Please try again.',
+    'session.presetIs': 'Your current Alexa preset session is {session}. It runs from {startDate} to {endDate}.',
+    'session.noPreset': 'You don\'t have an Alexa preset session set. You can set one by saying "set [session name] as Alexa preset".',
+    'session.presetFetchError': 'Sorry, I encountered an error while fetching your Alexa preset session. Please try again.',
+    'session.presetCleared': 'I\'ve cleared your Alexa preset session. Next time you ask for attendance, I\'ll ask which session you want to use.',
+    'session.noPresetToClear': 'There was no Alexa preset session to clear.',
+    'session.presetClearError': 'Sorry, I encountered an error while clearing your Alexa preset session. Please try again.',
+    'session.andMore': ', and more',
+    'session.andCountMore': ', and {count} more',
+    'session.whichToUse': 'Your available sessions are: {names}. Which session would you like to use?',
+    'session.whichToUseReprompt': 'Please tell me which session you want to use.',
+    'session.selected': 'Okay, I\'ve set {session} as your current session and Alexa preset.',
+    'session.ambiguous': 'I found {count} sessions named "{session}" with date ranges: {dateRanges}. Please specify which one by using the session code: {codes}',
+    'session.whichCode': 'Please tell me the session code to select the correct session.',
+    'session.notFound': 'Session "{session}" not found.',
+    'session.selectError': 'Sorry, I encountered an error while setting your session. Please try again.',
+    'session.noneYetList': 'You don\'t have any sessions yet. You can create one by saying "create session".',
+    'session.list': { one: 'You have {count} session: {names}', other: 'You have {count} sessions: {names}' },
+    'session.presetIsShort': '. Your Alexa preset session is {session}.',
+    'session.listError': 'Sorry, I encountered an error while listing your sessions. Please try again.',
+    'session.whichTo.rename': 'Which session would you like to rename?',
+    'session.whichTo.change': 'Which session would you like to change?',
+    'session.whichTo.archive': 'Which session would you like to archive?',
+    'session.whichTo.delete': 'Which session would you like to delete?',
+    'session.presetMoved': ' {session} is now your Alexa preset session.',
+    'session.presetRemoved': ' You no longer have an Alexa preset session.',
+    'session.newNameNeeded': 'What should the new name be? For example, say "rename session Fall 2024 to Semester 3".',
+    'session.whatNewName': 'What should the new name be?',
+    'session.confirmRename': 'Should I rename {session} to {newName}?',
+    'session.nameTaken': 'You already have a session called {newName}. Please choose another name.',
+    'session.renameError': 'Sorry, I encountered an error while renaming the session. Please try again.',
+    'session.newDateNeeded': 'Tell me the new start or end date, like "change the end date of Fall 2024 to December 20th".',
+    'session.whatNewDate': 'What should the new date be?',
+    'session.datesReversed': '{session} can\'t start on {startDate} and end on {endDate}. Please tell me the dates again.',
+    'session.confirmDates': 'Should I change {session} to run from {startDate} to {endDate}?',
+    'session.confirmDatesOverlap': 'Running {session} from {startDate} to {endDate} would overlap with {sessions}. Should I change it anyway?',
+    'session.changeError': 'Sorry, I encountered an error while changing the session. Please try again.',
+    'session.alreadyArchived': '{session} is already archived.',
+    'session.confirmArchive': 'Should I archive {session}? It won\'t be listed anymore, but its attendance stays.',
+    'session.archiveError': 'Sorry, I encountered an error while archiving the session. Please try again.',
+    'session.confirmDelete': 'Should I delete {session}, from {startDate}? Your marked days will stay.',
+    'session.confirmDeleteRange': 'Should I delete {session}, from {startDate} to {endDate}? Your marked days will stay.',
+    'session.deleteError': 'Sorry, I encountered an error while deleting the session. Please try again.',
+    'session.changeConflict': 'Sorry, I couldn\'t change {session}. It may have been changed somewhere else.',
+    'session.deleted': 'Okay, I\'ve deleted {session}.',
+    'session.archived': 'Okay, I\'ve archived {session}.',
+    'session.renamed': 'Okay, {session} is now called {newName}.',
+    'session.datesChanged': 'Okay, {session} now runs from {startDate} to {endDate}.',
+    'session.updateError': 'Sorry, I encountered an error while updating the session. Please try again.',
+
+    'reminder.permissionNeeded': 'To set attendance reminders, please allow reminders for this skill. I sent a card to your Alexa app.',
+    'reminder.content': 'Time to mark your attendance.',
+    'reminder.at': 'at {time}',
+    'reminder.once': 'once',
+    'reminder.timeNeeded': 'Please tell me a time, like "remind me to mark attendance every weekday at 6 pm".',
+    'reminder.whatTime': 'What time should I remind you?',
+    'reminder.noWorkingDays': 'You don\'t have any working days set, so there is nothing to remind you about.',
+    'reminder.set': 'Okay, I\'ll remind you to mark your attendance at {time}, {days}.',
+    'reminder.offDayRulesIncluded': ' Reminders can only repeat every week, so you\'ll still get one on {rules}, even though you have those days off.',
+    'reminder.setError': 'Sorry, I encountered an error while setting your reminder. Please try again.',
+    'reminder.none': 'You don\'t have any attendance reminders. You can set one by saying "remind me to mark attendance every weekday at 6 pm".',
+    'reminder.list': {
+      one: 'You have {count} attendance reminder: {reminders}.',
+      other: 'You have {count} attendance reminders: {reminders}.'
+    },
+    'reminder.listError': 'Sorry, I encountered an error while fetching your reminders. Please try again.',
+    'reminder.noneToCancel': 'You don\'t have any attendance reminders to cancel.',
+    'reminder.cancelled': {
+      one: 'Okay, I\'ve cancelled your attendance reminder.',
+      other: 'Okay, I\'ve cancelled all {count} attendance reminders.'
+    },
+    'reminder.cancelError': 'Sorry, I encountered an error while cancelling your reminders. Please try again.',
+
+    'weekday.range': '{first} to {last}',
+
+    'daysOff.summary': {
+      one: 'your day off is {daysOff}. You work {workingDays}.',
+      other: 'your days off are {daysOff}. You work {workingDays}.'
+    },
+    'daysOff.whichDaysHelp': 'Which days of the week are you off? For example, say "set my days off to Friday and Saturday".',
+    'daysOff.whichDays': 'Which days of the week are you off?',
+    'daysOff.needWorkingDay': 'You need at least one working day in the week. Which days are you off?',
+    'daysOff.noneSet': 'Okay, you now work every day of the week.',
+    'daysOff.set': 'Okay, {summary}',
+    'daysOff.setError': 'Sorry, I encountered an error while saving your days off. Please try again.',
+    'daysOff.none': 'You don\'t have any weekly days off. You work every day of the week.',
+    'daysOff.alsoOff': ' You also have {rules} off.',
+    'daysOff.fetchError': 'Sorry, I encountered an error while getting your days off. Please try again.',
+
+    'ordinal.1': 'first',
+    'ordinal.2': 'second',
+    'ordinal.3': 'third',
+    'ordinal.4': 'fourth',
+    'ordinal.5': 'fifth',
+    'ordinal.-1': 'last',
+
+    'offDayRule.alternate': 'every other {weekday} from {date}',
+    'offDayRule.monthly': 'the {weeks} {weekday} of every month',
+    'offDayRule.help': 'Tell me which days in the month you have off, like "second and fourth Saturdays off" or "alternate Saturdays off starting October 10th".',
+    'offDayRule.whichDays': 'Which days in the month do you have off?',
+    'offDayRule.whichAnchorHelp': 'Which {weekday} is one of your days off? For example, say "alternate {weekday}s off starting October 10th".',
+    'offDayRule.whichAnchor': 'Which {weekday} is one of your days off?',
+    'offDayRule.wrongWeekday': '{date} is a {actual}, not a {weekday}. Which {weekday} is one of your days off?',
+    'offDayRule.badOrdinal': 'I can set the first to fifth or the last day of the month. For example, say "second and fourth Saturdays off".',
+    'offDayRule.added': 'Okay, you now have {rule} off. They won\'t count as working days.',
+    'offDayRule.whichToRemove': 'Which day of the week should I stop giving you off? For example, say "remove my Saturday rule".',
+    'offDayRule.whichWeekday': 'Which day of the week?',
+    'offDayRule.forWeekday': ' for {weekday}',
+    'offDayRule.noneToRemove': 'You don\'t have any monthly or alternate days off{which}.',
+    'offDayRule.removed': 'Okay, I removed your monthly and alternate days off{which}. Those days count as working days again.',
+
+    'holiday.periodToday': '{name} today',
+    'holiday.periodOn': '{name} on {day}',
+    'holiday.periodRange': '{name} from {startDay} to {endDate}',
+    'holiday.nameNeeded': 'Please specify the holiday name. For example, say "mark holiday for Diwali".',
+    'holiday.whatName': 'What is the name of the holiday?',
+    'holiday.whichDay': 'Which day would you like to mark as a holiday?',
+    'holiday.alreadyMarked': '{day} is already marked as {status}.',
+    'holiday.markedToday': 'Successfully marked as {status}.',
+    'holiday.marked': 'Successfully marked {day} as {status}.',
+    'holiday.markError': 'Sorry, I encountered an error while marking holiday. Please try again.',
+    'holiday.noneInMonth': 'You don\'t have any holidays in {month}.',
+    'holiday.inMonth': 'In {month} you have {holidays}.',
+    'holiday.moreInMonth': { one: ' There is {count} more holiday that month.', other: ' There are {count} more holidays that month.' },
+    'holiday.fetchError': 'Sorry, I encountered an error while getting your holidays. Please try again.',
+    'holiday.noneUpcoming': 'You don\'t have any upcoming holidays. You can add one by saying "mark holiday for Diwali on November 8th".',
+    'holiday.next': 'Your next holiday is {holiday}.',
+    'holiday.inDays': { one: ' That\'s in {count} day.', other: ' That\'s in {count} days.' },
+    'holiday.tomorrow': ' That\'s tomorrow.',
+    'holiday.whichToRemove': 'Which day\'s holiday should I remove? For example, say "remove the holiday on October 24th".',
+    'holiday.whichToRemoveReprompt': 'Which day\'s holiday should I remove?',
+    'holiday.notMarked': '{day} isn\'t marked as a holiday.',
+    'holiday.confirmRemove': '{day} is a {status}. Should I remove it?',
+    'holiday.confirmRemoveReprompt': 'Should I remove the holiday on {day}?',
+    'holiday.removeError': 'Sorry, I encountered an error while removing the holiday. Please try again.',
+    'holiday.renameNeeded': 'Tell me the day and the new name, like "rename Monday\'s holiday to Dussehra".',
+    'holiday.renameReprompt': 'Which holiday should I rename, and to what?',
+    'holiday.notMarkedToRename': '{day} isn\'t marked as a holiday. To add one, say "mark holiday for {name}".',
+    'holiday.renamed': 'Okay, I\'ve renamed the holiday on {day} from {oldName} to {newName}.',
+    'holiday.renameError': 'Sorry, I encountered an error while renaming the holiday. Please try again.',
+    'holiday.removed': 'Okay, I\'ve removed the {status} on {day}.',
+
+    'list.and': ' and ',
+
+    'common.whatNext': 'What would you like to do?',
+    'common.whatNextOkay': 'Okay, what would you like to do next?',
+    'common.noChanges': 'Okay, I won\'t make any changes. Let me know if you need anything else.',
+    'common.goodbye': 'Goodbye! Have a great day!',
+    'common.fallback': 'Sorry, I didn\'t understand that. You can mark attendance, ask for percentages, or say help for more options. What would you like to do?',
+    'common.error': 'Sorry, I had trouble doing what you asked. Please try again.',
+    'common.tryAgain': 'Please try again.',
+
+    'date.range': '{startDate} to {endDate}',
+    'date.heard': 'You said the date is {date}. What would you like to do with this date?',
+    'date.whatToDo': 'What would you like to do with this date?',
+    'date.notUnderstood': 'I\'m not sure what date you\'re referring to. Please try again.',
+
+    'launch.welcome': 'Welcome to Attendance Tracker! You can mark your attendance as present, absent, or holiday. You can also ask for monthly or session attendance percentages. What would you like to do?',
+    'launch.reprompt': 'What would you like to do? You can say mark present, mark absent, or ask for attendance percentage.',
+    'launch.welcomeShort': 'Welcome to Attendance Tracker! What would you like to do?',
+
+    'create.start': 'Okay, let\'s create a new session. What would you like to name this session?',
+    'create.willBePreset': ' This session will be set as your Alexa preset.',
+    'create.whatName': 'What should I call this session?',
+    'create.startError': 'Sorry, I encountered an error while starting session creation. Please try again.',
+    'create.nameNeeded': 'Please provide a session name. For example, say "create session called Summer 2024".',
+    'create.whatNameReprompt': 'What would you like to name this session?',
+    'create.askStartDate': 'Okay, I\'ll create session "{session}". When does this session start? Please provide a start date like "June 1st 2024" or "2024-06-01".',
+    'create.startDateReprompt': 'Please tell me the start date for this session.',
+    'create.error': 'Sorry, I encountered an error while creating the session. Please try again.',
+    'create.done': 'Successfully created session "{session}" from {startDate} to {endDate}.',
+    'create.donePreset': ' I\'ve also set it as your Alexa preset session.',
+    'create.endDateNeeded': 'I need a specific end date, like "August 31st 2024". When does the session end?',
+    'create.whenEnd': 'When does the session end?',
+    'create.endBeforeStart': '{endDate} is before the start date, {startDate}. When does the session end?',
+    'create.overlapSession': '{session}, from {startDate} to {endDate}',
+    'create.overlap': 'A session from {startDate} to {endDate} would overlap with {sessions}. Should I create it anyway? You can also tell me a different end date.',
+    'create.overlapReprompt': 'Should I create the session anyway, or would you like a different end date?',
+    'create.startDateNeeded': 'I need a specific start date, like "June 1st 2024". When does the session start?',
+    'create.whenStart': 'When does the session start?',
+    'create.askEndDate': 'Okay, starting on {startDate}. When does the session end?',
+    'create.endDateReprompt': 'Please provide an end date for the session.',
+    'create.missedStartDate': 'I didn\'t catch the start date. Please provide a start date like "June 1st 2024" or "2024-06-01".',
+    'create.missedEndDate': 'I didn\'t catch the end date. Please provide an end date like "August 31st 2024" or "2024-08-31".',
+    'create.startFromYes': 'Great! What would you like to name this session? For example, "Summer 2024" or "Academic Year 2024-25".',
+
+    'weight.help': 'You can set how much a half day, late arrival or day on duty counts. For example, say "count half days as 50 percent".',
+    'weight.reprompt': 'Which status would you like to change, and how much should it count?',
+    'weight.outOfRange': 'Please choose a value between 0 and 100 percent.',
+    'weight.howMuch': 'How much should it count?',
+    'weight.set.half-day': 'Okay, a half day now counts as {percent} percent of a present day.',
+    'weight.set.late': 'Okay, a late arrival now counts as {percent} percent of a present day.',
+    'weight.set.on-duty': 'Okay, a day on duty now counts as {percent} percent of a present day.',
+    'weight.setError': 'Sorry, I encountered an error while saving that setting. Please try again.',
+
+    'help.text': 'You can mark your attendance by saying: "mark present", "mark absent", or "mark holiday for [holiday name]". You can also say "mark half day", "mark late" or "mark on duty". Add a day or a range to mark other days, like "mark absent yesterday" or "mark absent from Monday to Wednesday". You can also ask for "monthly attendance" or "session attendance" to get your percentage. To look back, ask "what\'s my status for last Tuesday", "when was I last absent" or "which days did I miss this month". Say "which days haven\'t I marked" to fill in days you forgot. For other periods, ask "what was my attendance last week" or "last quarter". Set a target with "set my attendance target to 75 percent", then ask "how many days can I miss" or "how many days do I need to attend". To create a session, say "create session" or "create session Summer 2024". When asked for dates, you can say things like "June first 2024" or "2024-06-01". To switch sessions, say "use session [session name]" or "use session [session code]". You can also set an Alexa preset session by saying "set [session name] as Alexa preset". To fix a session, say "rename session [session name] to [new name]" or "change the end date of [session name] to December 20th", and say "archive session [session name]" or "delete session [session name]" when you\'re done with it. To track subjects, say "add subject physics", then "mark present for physics" or "what\'s my physics attendance". Ask "what holidays do I have this month" or "when is my next holiday", and say "remove the holiday on October 24th" or "rename Monday\'s holiday to Dussehra" to change them. Say "set my days off to Friday and Saturday" if you don\'t take Sundays off, or ask "what are my days off". For days off in some weeks only, say "second and fourth Saturdays off" or "alternate Saturdays off starting October 10th". Say "remind me to mark attendance every weekday at 6 pm" to get a daily reminder. Say "undo that" to revert your last change, or "what did I change today" to hear your changes. What would you like to do?'
+  },
+  'en-IN': {
+    'mark.singleDayNeeded': 'Please tell me a single day, like "yesterday" or "3rd October".',
+
+    'period.whichPeriod': 'Which period would you like your attendance for? For example, say "this week", "last quarter" or "from 1st September to 15th October".',
+    'period.unknown': 'Sorry, I can\'t tell which days that is. Try "this week", "last quarter" or "from 1st September to 15th October".',
+
+    'session.newDateNeeded': 'Tell me the new start or end date, like "change the end date of Fall 2024 to 20th December".',
+
+    'offDayRule.help': 'Tell me which days in the month you have off, like "second and fourth Saturdays off" or "alternate Saturdays off starting 10th October".',
+    'offDayRule.whichAnchorHelp': 'Which {weekday} is one of your days off? For example, say "alternate {weekday}s off starting 10th October".',
+
+    'holiday.noneUpcoming': 'You don\'t have any upcoming holidays. You can add one by saying "mark holiday for Diwali on 8th November".',
+    'holiday.whichToRemove': 'Which day\'s holiday should I remove? For example, say "remove the holiday on 24th October".',
+
+    'create.askStartDate': 'Okay, I\'ll create session "{session}". When does this session start? Please provide a start date like "1st June 2024" or "2024-06-01".',
+    'create.endDateNeeded': 'I need a specific end date, like "31st August 2024". When does the session end?',
+    'create.startDateNeeded': 'I need a specific start date, like "1st June 2024". When does the session start?',
+    'create.missedStartDate': 'I didn\'t catch the start date. Please provide a start date like "1st June 2024" or "2024-06-01".',
+    'create.missedEndDate': 'I didn\'t catch the end date. Please provide an end date like "31st August 2024" or "2024-08-31".'
+  },
+  hi: {
+    'account.linkRequired': 'आगे बढ़ने के लिए कृपया अपना खाता लिंक करें। मैंने आपके Alexa ऐप में एक कार्ड भेजा है।',
+
+    'day.today': 'आज',
+
+    'mark.singleDayNeeded': 'कृपया एक दिन बताइए, जैसे "yesterday" या "October 3rd"।',
+    'mark.futureDay': '{date} अभी आया नहीं है। आने वाले दिनों को सिर्फ़ छुट्टी के रूप में दर्ज किया जा सकता है।',
+    'mark.holidayTooFar': 'छुट्टियाँ ज़्यादा से ज़्यादा एक साल आगे तक दर्ज की जा सकती हैं।',
+    'mark.rangeNeedsBothDays': 'कृपया पहला और आख़िरी दिन दोनों बताइए, जैसे "from Monday to Wednesday"।',
+    'mark.rangeReversed': '{endDate}, {startDate} से पहले है। कृपया दिन फिर से बताइए।',
+    'mark.rangeTooLong': 'एक बार में ज़्यादा से ज़्यादा {count} दिन दर्ज किए जा सकते हैं।',
+    'mark.nonWorkingDay': '{day} कामकाजी दिन नहीं है। ऐसे दिनों पर हाज़िरी दर्ज नहीं की जा सकती।',
+    'mark.noSubjectClass': '{day} के लिए {status} दर्ज है, इसलिए {subject} की कोई क्लास दर्ज करने को नहीं है।',
+    'mark.whichDays': 'आप कौन से दिन दर्ज करना चाहेंगे?',
+    'mark.whichDayAs': 'आप किस दिन को {status} दर्ज करना चाहेंगे?',
+    'mark.noWorkingDays': '{range} तक कोई कामकाजी दिन नहीं है।',
+    'mark.rangeWorkingDays': '{range} तक {count} कामकाजी दिन हैं।',
+    'mark.conflict': '{date} को {status} दर्ज है',
+    'mark.moreConflicts': ', और {count} और दिनों पर कुछ और दर्ज है',
+    'mark.confirmRange': { one: ' क्या मैं इसे {status} दर्ज कर दूँ?', other: ' क्या मैं इन सभी को {status} दर्ज कर दूँ?' },
+    'mark.confirmRangeReprompt': 'क्या मैं {range} को {status} दर्ज कर दूँ?',
+    'mark.alreadyMarked': '{day} के लिए{inSubject} पहले से {status} दर्ज है।',
+    'mark.changeExisting': '{day} के लिए{inSubject} अभी {oldStatus} दर्ज है। क्या आप इसे {status} करना चाहेंगे?',
+    'mark.changeExistingReprompt': 'क्या मैं {day} के लिए{inSubject} इसे {status} कर दूँ?',
+    'mark.done': '{day} के लिए{inSubject} आपकी हाज़िरी {status} दर्ज कर दी गई है।{warning}',
+    'mark.error': 'माफ़ कीजिए, हाज़िरी दर्ज करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'mark.doneRange': 'ठीक है, मैंने {count} दिन{inSubject} {status} दर्ज कर दिए हैं।',
+    'mark.changed': 'ठीक है, मैंने {day} के लिए{inSubject} {oldStatus} को बदलकर {status} कर दिया है।',
+    'mark.updateError': 'माफ़ कीजिए, स्थिति बदलते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'status.present': 'उपस्थित',
+    'status.absent': 'अनुपस्थित',
+    'status.half-day': 'आधा दिन',
+    'status.late': 'देर से',
+    'status.on-duty': 'ऑन ड्यूटी',
+    'status.holiday': 'छुट्टी',
+    'status.not-enrolled': 'नामांकित नहीं',
+    'status.unmarked': 'दर्ज नहीं',
+    'status.holidayFor': '{name} की छुट्टी',
+
+    'subject.in': ' {subject} में',
+    'subject.rollup': ' आपके सभी {count} विषयों को मिलाकर हाज़िरी {percentage} प्रतिशत है।',
+    'subject.notFound': '{subject} नाम का कोई विषय नहीं है। विषय सुनने के लिए "list my subjects" कहें, या बनाने के लिए "add subject {subject}" कहें।',
+    'subject.nameNeeded': 'कृपया विषय का नाम बताइए। उदाहरण के लिए, "add subject physics" कहें।',
+    'subject.whatName': 'विषय का नाम क्या है?',
+    'subject.exists': '{subject} नाम का विषय पहले से है।',
+    'subject.added': 'ठीक है, मैंने {subject} जोड़ दिया है। अब आप "mark present for {subject}" कह सकते हैं।',
+    'subject.addError': 'माफ़ कीजिए, विषय जोड़ते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'subject.noneYet': 'आपका अभी कोई विषय नहीं है। "add subject physics" कहकर आप एक विषय जोड़ सकते हैं।',
+    'subject.list': 'आपके {count} विषय हैं: {names}।',
+    'subject.listError': 'माफ़ कीजिए, आपके विषयों की सूची लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'subject.attendance': '{session} के लिए आपकी {subject} की हाज़िरी {percentage} प्रतिशत है। आप {count} क्लास में से {presentDays} में उपस्थित रहे।',
+    'subject.percentage': '{subject} {percentage} प्रतिशत',
+    'subject.breakdown': '{session} के लिए: {subjects}। कुल मिलाकर {percentage} प्रतिशत।',
+    'subject.attendanceError': 'माफ़ कीजिए, विषय की हाज़िरी लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'history.entryOneDay': '{date}{inSubject}, {oldValue} से {newValue}',
+    'history.entryDays': '{count} दिन{inSubject}, {startDate} से {endDate} तक',
+    'history.andCountMore': '; और {count} और',
+    'history.nothingToUndo': 'वापस लेने के लिए कोई बदलाव नहीं है।',
+    'history.undoneDay': 'ठीक है, मैंने {date} का बदलाव वापस ले लिया है। अब वह फिर से {value} है।',
+    'history.undone': 'ठीक है, मैंने यह बदलाव वापस ले लिया है: {change}।',
+    'history.undoError': 'माफ़ कीजिए, आपका पिछला बदलाव वापस लेते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'history.noneToday': 'आज आपने कुछ नहीं बदला है।',
+    'history.fromWeb': ' वेब ऐप से',
+    'history.fromImport': ' छुट्टियों के इंपोर्ट से',
+    'history.wasUndone': ', जो वापस ले लिया गया',
+    'history.today': 'आज आपने {count} बदलाव किए: {changes}।',
+    'history.fetchError': 'माफ़ कीजिए, आपके बदलाव लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'statusCount.half-day': { one: '{count} आधा दिन', other: '{count} आधे दिन' },
+    'statusCount.late': '{count} बार देर से',
+    'statusCount.on-duty': '{count} दिन ऑन ड्यूटी',
+
+    'stats.includes': ' इसमें {parts} शामिल हैं।',
+    'stats.monthly': '{month} में आपकी हाज़िरी {percentage} प्रतिशत है।',
+    'stats.monthlySubject': '{month} में आपकी {subject} की हाज़िरी {percentage} प्रतिशत है।',
+    'stats.monthlyError': 'माफ़ कीजिए, महीने की हाज़िरी लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'stats.session': '{session} के लिए आपकी हाज़िरी {percentage} प्रतिशत है। आप {count} कामकाजी दिनों में से {presentDays} दिन उपस्थित रहे।',
+    'stats.sessionSubject': '{session} के लिए आपकी {subject} की हाज़िरी {percentage} प्रतिशत है। आप {count} क्लास में से {presentDays} में उपस्थित रहे।',
+    'stats.sessionError': 'माफ़ कीजिए, सत्र की हाज़िरी लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'stats.percentage': '{session} के लिए आपकी हाज़िरी {percentage} प्रतिशत है। आप {count} कामकाजी दिनों में से {presentDays} दिन उपस्थित रहे।',
+    'stats.percentageError': 'माफ़ कीजिए, आपकी हाज़िरी का प्रतिशत लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'period.on': '{day} को',
+    'period.in': '{month} में',
+    'period.range': '{startDate} से {endDate} तक',
+    'period.stats': '{period} आप {count} कामकाजी दिनों में से {presentDays} दिन उपस्थित रहे, यानी {percentage} प्रतिशत।',
+    'period.statsSubject': '{period} आप {subject} की {count} क्लास में से {presentDays} में उपस्थित रहे, यानी {percentage} प्रतिशत।',
+    'period.noWorkingDays': '{period} अभी गिनने के लिए कोई कामकाजी दिन नहीं है।',
+    'period.whichPeriod': 'आप किस अवधि की हाज़िरी जानना चाहेंगे? उदाहरण के लिए, "this week", "last quarter" या "from September 1st to October 15th" कहें।',
+    'period.unknown': 'माफ़ कीजिए, मैं समझ नहीं पाई कि कौन से दिन हैं। "this week", "last quarter" या "from September 1st to October 15th" कहकर देखें।',
+    'period.tooLong': 'आप एक बार में ज़्यादा से ज़्यादा {count} दिनों के बारे में पूछ सकते हैं।',
+    'period.error': 'माफ़ कीजिए, उस अवधि की हाज़िरी लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'calendar.sessionPercentage': '{session}: {percentage}%',
+    'calendar.partial': 'आधा दिन, देर से या ऑन ड्यूटी',
+    'calendar.dayOff': 'छुट्टी का दिन',
+    'calendar.dayMarked': '{day} के लिए {status} दर्ज है।',
+    'calendar.dayUnmarked': '{day} के लिए अभी कुछ दर्ज नहीं है।',
+    'calendar.whichStatus': ' आप इसे क्या दर्ज करना चाहेंगे? आप "mark present", "mark absent", "mark half day" या "mark holiday for Diwali" कह सकते हैं।',
+    'calendar.whichStatusReprompt': 'आप {day} को क्या दर्ज करना चाहेंगे?',
+    'calendar.dayError': 'माफ़ कीजिए, वह दिन खुल नहीं पाया। कृपया फिर से कोशिश करें।',
+
+    'lookup.whichDay': 'आप किस दिन की जानकारी चाहेंगे?',
+    'lookup.whichStatus': 'आप उपस्थित, अनुपस्थित, आधे दिन, देर से या ऑन ड्यूटी में से किन दिनों के बारे में जानना चाहेंगे?',
+    'lookup.unknownStatus': 'मैं "{status}" वाले दिन नहीं ढूँढ सकती। आप उपस्थित, अनुपस्थित, आधे दिन, देर से या ऑन ड्यूटी वाले दिनों के बारे में पूछ सकते हैं।',
+    'lookup.dayStatus': '{day} के लिए{inSubject} {status} दर्ज है।',
+    'lookup.dayUnmarked': '{day} के लिए{inSubject} अभी कुछ दर्ज नहीं है।',
+    'lookup.dayOff': '{day} छुट्टी का दिन है।',
+    'lookup.lastOn': 'आख़िरी बार{inSubject} {day} को {status} दर्ज हुआ था।',
+    'lookup.lastToday': 'आख़िरी बार{inSubject} आज {status} दर्ज हुआ है।',
+    'lookup.lastNone': 'पिछले एक साल में{inSubject} कभी {status} दर्ज नहीं हुआ।',
+    'lookup.count': '{month} में{inSubject} {count} दिन {status} दर्ज हुआ।',
+    'lookup.countNone': '{month} में{inSubject} किसी भी दिन {status} दर्ज नहीं हुआ।',
+    'lookup.days': {
+      one: '{month} में{inSubject} {days} को {status} दर्ज हुआ।',
+      other: '{month} में{inSubject} {count} दिन {status} दर्ज हुआ: {days}।'
+    },
+    'lookup.run': '{startDate} से {endDate} तक',
+    'lookup.moreDays': '{count} और दिन',
+    'lookup.error': 'माफ़ कीजिए, मैं यह जानकारी नहीं ढूँढ पाई। कृपया फिर से कोशिश करें।',
+
+    'unmarked.countedAbsent': ' {count} कामकाजी दिनों के लिए कुछ दर्ज नहीं है, और वे अनुपस्थित गिने जा रहे हैं। उन्हें भरने के लिए "which days haven\'t I marked" कहें।',
+    'unmarked.leftOut': ' {count} कामकाजी दिनों के लिए कुछ दर्ज नहीं है, और दर्ज होने तक उन्हें गिना नहीं जा रहा।',
+    'unmarked.none': '{session} में अब तक के सभी कामकाजी दिन दर्ज हैं।',
+    'unmarked.list': '{session} में {count} कामकाजी दिनों के लिए कुछ दर्ज नहीं है: {days}।',
+    'unmarked.offer': 'क्या आप उन्हें अभी भरना चाहेंगे?',
+    'unmarked.offerRecent': 'क्या आप सबसे हाल के {count} दिन अभी भरना चाहेंगे?',
+    'unmarked.error': 'माफ़ कीजिए, मैं बिना दर्ज दिन नहीं ढूँढ पाई। कृपया फिर से कोशिश करें।',
+
+    'backfill.start': 'हर दिन के लिए present, absent, holiday या skip कहें।',
+    'backfill.ask': '{day}?',
+    'backfill.marked': '{day}: {status} दर्ज किया।',
+    'backfill.skipped': 'छोड़ दिया।',
+    'backfill.done': 'यह आख़िरी दिन था। आपने {count} दिन भरे।',
+    'backfill.error': 'माफ़ कीजिए, वह दिन सेव नहीं हो पाया। कृपया फिर से कोशिश करें, या skip कहें।',
+
+    'unmarkedPolicy.help': 'बिना दर्ज कामकाजी दिन अनुपस्थित गिने जा सकते हैं या प्रतिशत से बाहर रखे जा सकते हैं। "count unmarked days as absent" या "leave unmarked days out" कहें।',
+    'unmarkedPolicy.reprompt': 'बिना दर्ज दिन अनुपस्थित गिने जाएँ, या बाहर रखे जाएँ?',
+    'unmarkedPolicy.set.absent': 'ठीक है, बिना दर्ज कामकाजी दिन अब अनुपस्थित गिने जाएँगे।',
+    'unmarkedPolicy.set.exclude': 'ठीक है, बिना दर्ज कामकाजी दिन अब दर्ज होने तक प्रतिशत में नहीं गिने जाएँगे।',
+    'unmarkedPolicy.error': 'माफ़ कीजिए, बिना दर्ज दिनों की गिनती का तरीका नहीं बदल पाया। कृपया फिर से कोशिश करें।',
+
+    'target.warning': ' ध्यान दें: {session} के लिए आपकी हाज़िरी अब {percentage} प्रतिशत है, जो आपके {target} प्रतिशत के लक्ष्य से कम है।',
+    'target.warningUnreachable': ' सत्र ख़त्म होने से पहले अब आप इस लक्ष्य तक नहीं पहुँच सकते।',
+    'target.warningPresentsNeeded': ' वापस पहुँचने के लिए आपको लगातार {count} दिन उपस्थित रहना होगा।',
+    'target.notSet': 'आपने अभी तक हाज़िरी का कोई लक्ष्य नहीं रखा है। लक्ष्य रखने के लिए "set my attendance target to 75 percent" कहें।',
+    'target.whatPercentage': 'आप कितने प्रतिशत का लक्ष्य रखना चाहेंगे?',
+    'target.outOfRange': 'कृपया 1 से 100 प्रतिशत के बीच का लक्ष्य बताइए। उदाहरण के लिए, "set my attendance target to 75 percent" कहें।',
+    'target.sessionNotFound': '"{session}" नाम का सत्र नहीं मिला। कृपया बताइए कि लक्ष्य किस सत्र के लिए है।',
+    'target.whichSession': 'लक्ष्य किस सत्र के लिए है?',
+    'target.set': 'ठीक है, आपकी हाज़िरी का लक्ष्य अब {percent} प्रतिशत है। कोई अनुपस्थिति आपको इससे नीचे ले जाएगी तो मैं आपको बता दूँगी।',
+    'target.setForSession': 'ठीक है, {session} के लिए आपकी हाज़िरी का लक्ष्य अब {percent} प्रतिशत है। कोई अनुपस्थिति आपको इससे नीचे ले जाएगी तो मैं आपको बता दूँगी।',
+    'target.setError': 'माफ़ कीजिए, आपका लक्ष्य सेट करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'target.remainingDays': '{session} में {count} कामकाजी दिन बाक़ी',
+    'target.absencesUnreachable': '{remaining} हैं, और उन सभी में उपस्थित रहकर भी आप {target} प्रतिशत तक नहीं पहुँच सकते। अभी आपकी हाज़िरी {percentage} प्रतिशत है।',
+    'target.absencesNone': '{target} प्रतिशत बनाए रखने के लिए आप अब एक भी दिन छुट्टी नहीं ले सकते। {remaining} हैं।',
+    'target.absencesAllowed': 'आप {count} दिन और छुट्टी लेकर भी {target} प्रतिशत बनाए रख सकते हैं। {remaining} हैं।',
+    'target.alreadyAbove': '{session} के लिए आपकी हाज़िरी {percentage} प्रतिशत है, जो {target} प्रतिशत या उससे ज़्यादा है।',
+    'target.noWorkingDaysYet': '{session} में अभी तक कोई कामकाजी दिन नहीं गिना गया है, इसलिए {target} प्रतिशत के लक्ष्य से तुलना करने के लिए अभी कोई हाज़िरी नहीं है।',
+    'target.presentsUnreachable': 'आपकी हाज़िरी {percentage} प्रतिशत है, और {remaining} रहते आप {target} प्रतिशत तक वापस नहीं पहुँच सकते।',
+    'target.presentsNeeded': 'आपकी हाज़िरी {percentage} प्रतिशत है। {target} प्रतिशत तक वापस पहुँचने के लिए आपको लगातार {count} दिन उपस्थित रहना होगा।',
+    'target.projectionError': 'माफ़ कीजिए, इसका हिसाब लगाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'session.current': 'मौजूदा सत्र',
+    'session.currentYear': 'इस साल',
+    'session.noneYet': 'आपका अभी कोई सत्र नहीं है। पहले "create session" कहकर एक सत्र बनाइए।',
+    'session.presetTag': ' (Alexa प्रीसेट)',
+    'session.available': 'आपके सत्र हैं: {names}',
+    'session.currentPreset': '। आपका मौजूदा Alexa प्रीसेट सत्र {session} है।',
+    'session.whichPreset': ' आप किस सत्र को Alexa प्रीसेट बनाना चाहेंगे?',
+    'session.whichPresetReprompt': 'कृपया बताइए कि आप किस सत्र को Alexa प्रीसेट बनाना चाहते हैं।',
+    'session.whichPresetShort': 'मैं किस सत्र को Alexa प्रीसेट बनाऊँ?',
+    'session.fetchError': 'माफ़ कीजिए, आपके सत्र लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.presetSet': 'ठीक है, मैंने {session} को आपका Alexa प्रीसेट सत्र बना दिया है। अब सत्र की हाज़िरी पूछने पर मैं अपने आप यही सत्र इस्तेमाल करूँगी।',
+    'session.presetNotFound': '"{session}" नाम का सत्र नहीं मिला। कृपया बताइए कि आप किस सत्र को Alexa प्रीसेट बनाना चाहते हैं।',
+    'session.presetArchived': '{session} आर्काइव हो चुका है, इसलिए यह आपका Alexa प्रीसेट नहीं बन सकता। कृपया कोई दूसरा सत्र बताइए।',
+    'session.presetSetError': 'माफ़ कीजिए, Alexa प्रीसेट सत्र सेट करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.presetIs': 'आपका मौजूदा Alexa प्रीसेट सत्र {session} है। यह {startDate} से {endDate} तक चलता है।',
+    'session.noPreset': 'आपका कोई Alexa प्रीसेट सत्र नहीं है। सेट करने के लिए "set [session name] as Alexa preset" कहें।',
+    'session.presetFetchError': 'माफ़ कीजिए, आपका Alexa प्रीसेट सत्र लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.presetCleared': 'मैंने आपका Alexa प्रीसेट सत्र हटा दिया है। अगली बार हाज़िरी पूछने पर मैं पूछूँगी कि कौन सा सत्र इस्तेमाल करना है।',
+    'session.noPresetToClear': 'हटाने के लिए कोई Alexa प्रीसेट सत्र नहीं था।',
+    'session.presetClearError': 'माफ़ कीजिए, आपका Alexa प्रीसेट सत्र हटाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.andMore': ', और भी',
+    'session.andCountMore': ', और {count} और',
+    'session.whichToUse': 'आपके सत्र हैं: {names}। आप कौन सा सत्र इस्तेमाल करना चाहेंगे?',
+    'session.whichToUseReprompt': 'कृपया बताइए कि आप कौन सा सत्र इस्तेमाल करना चाहते हैं।',
+    'session.selected': 'ठीक है, मैंने {session} को आपका मौजूदा सत्र और Alexa प्रीसेट बना दिया है।',
+    'session.ambiguous': '"{session}" नाम के {count} सत्र मिले, जिनकी तारीख़ें हैं: {dateRanges}। कृपया सत्र कोड बताकर चुनिए: {codes}',
+    'session.whichCode': 'सही सत्र चुनने के लिए कृपया सत्र कोड बताइए।',
+    'session.notFound': '"{session}" नाम का सत्र नहीं मिला।',
+    'session.selectError': 'माफ़ कीजिए, आपका सत्र सेट करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.noneYetList': 'आपका अभी कोई सत्र नहीं है। "create session" कहकर आप एक सत्र बना सकते हैं।',
+    'session.list': 'आपके {count} सत्र हैं: {names}',
+    'session.presetIsShort': '। आपका Alexa प्रीसेट सत्र {session} है।',
+    'session.listError': 'माफ़ कीजिए, आपके सत्रों की सूची लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.whichTo.rename': 'आप किस सत्र का नाम बदलना चाहेंगे?',
+    'session.whichTo.change': 'आप कौन सा सत्र बदलना चाहेंगे?',
+    'session.whichTo.archive': 'आप किस सत्र को आर्काइव करना चाहेंगे?',
+    'session.whichTo.delete': 'आप कौन सा सत्र हटाना चाहेंगे?',
+    'session.presetMoved': ' अब {session} आपका Alexa प्रीसेट सत्र है।',
+    'session.presetRemoved': ' अब आपका कोई Alexa प्रीसेट सत्र नहीं है।',
+    'session.newNameNeeded': 'नया नाम क्या होना चाहिए? उदाहरण के लिए, "rename session Fall 2024 to Semester 3" कहें।',
+    'session.whatNewName': 'नया नाम क्या होना चाहिए?',
+    'session.confirmRename': 'क्या मैं {session} का नाम बदलकर {newName} कर दूँ?',
+    'session.nameTaken': '{newName} नाम का सत्र पहले से है। कृपया कोई और नाम चुनिए।',
+    'session.renameError': 'माफ़ कीजिए, सत्र का नाम बदलते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.newDateNeeded': 'नई शुरुआत या आख़िरी तारीख़ बताइए, जैसे "change the end date of Fall 2024 to December 20th"।',
+    'session.whatNewDate': 'नई तारीख़ क्या होनी चाहिए?',
+    'session.datesReversed': '{session} {startDate} को शुरू होकर {endDate} को ख़त्म नहीं हो सकता। कृपया तारीख़ें फिर से बताइए।',
+    'session.confirmDates': 'क्या मैं {session} को {startDate} से {endDate} तक कर दूँ?',
+    'session.confirmDatesOverlap': '{startDate} से {endDate} तक चलने पर {session} {sessions} से टकराएगा। क्या मैं फिर भी इसे बदल दूँ?',
+    'session.changeError': 'माफ़ कीजिए, सत्र बदलते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.alreadyArchived': '{session} पहले से आर्काइव है।',
+    'session.confirmArchive': 'क्या मैं {session} को आर्काइव कर दूँ? यह सूची में नहीं दिखेगा, पर इसकी हाज़िरी बनी रहेगी।',
+    'session.archiveError': 'माफ़ कीजिए, सत्र आर्काइव करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.confirmDelete': 'क्या मैं {startDate} से शुरू होने वाला {session} हटा दूँ? आपके दर्ज किए दिन बने रहेंगे।',
+    'session.confirmDeleteRange': 'क्या मैं {startDate} से {endDate} तक का {session} हटा दूँ? आपके दर्ज किए दिन बने रहेंगे।',
+    'session.deleteError': 'माफ़ कीजिए, सत्र हटाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'session.changeConflict': 'माफ़ कीजिए, मैं {session} नहीं बदल सकी। हो सकता है इसे कहीं और से बदला गया हो।',
+    'session.deleted': 'ठीक है, मैंने {session} हटा दिया है।',
+    'session.archived': 'ठीक है, मैंने {session} आर्काइव कर दिया है।',
+    'session.renamed': 'ठीक है, {session} का नाम अब {newName} है।',
+    'session.datesChanged': 'ठीक है, {session} अब {startDate} से {endDate} तक चलेगा।',
+    'session.updateError': 'माफ़ कीजिए, सत्र बदलते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'reminder.permissionNeeded': 'हाज़िरी के रिमाइंडर सेट करने के लिए कृपया इस स्किल को रिमाइंडर की अनुमति दें। मैंने आपके Alexa ऐप में एक कार्ड भेजा है।',
+    'reminder.content': 'अपनी हाज़िरी दर्ज करने का समय हो गया है।',
+    'reminder.at': '{time} बजे',
+    'reminder.once': 'एक बार',
+    'reminder.timeNeeded': 'कृपया समय बताइए, जैसे "remind me to mark attendance every weekday at 6 pm"।',
+    'reminder.whatTime': 'मैं आपको किस समय याद दिलाऊँ?',
+    'reminder.noWorkingDays': 'आपका कोई कामकाजी दिन तय नहीं है, इसलिए याद दिलाने को कुछ नहीं है।',
+    'reminder.set': 'ठीक है, मैं आपको {days}, {time} बजे हाज़िरी दर्ज करने की याद दिलाऊँगी।',
+    'reminder.offDayRulesIncluded': ' रिमाइंडर सिर्फ़ हर हफ़्ते दोहराए जा सकते हैं, इसलिए छुट्टी होने पर भी आपको इन दिनों रिमाइंडर मिलेगा: {rules}।',
+    'reminder.setError': 'माफ़ कीजिए, आपका रिमाइंडर सेट करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'reminder.none': 'आपका हाज़िरी का कोई रिमाइंडर नहीं है। सेट करने के लिए "remind me to mark attendance every weekday at 6 pm" कहें।',
+    'reminder.list': 'आपके हाज़िरी के {count} रिमाइंडर हैं: {reminders}।',
+    'reminder.listError': 'माफ़ कीजिए, आपके रिमाइंडर लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'reminder.noneToCancel': 'रद्द करने के लिए हाज़िरी का कोई रिमाइंडर नहीं है।',
+    'reminder.cancelled': { one: 'ठीक है, मैंने आपका हाज़िरी का रिमाइंडर रद्द कर दिया है।', other: 'ठीक है, मैंने आपके हाज़िरी के सभी {count} रिमाइंडर रद्द कर दिए हैं।' },
+    'reminder.cancelError': 'माफ़ कीजिए, आपके रिमाइंडर रद्द करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'weekday.range': '{first} से {last} तक',
+
+    'daysOff.summary': 'आपकी छुट्टी {daysOff} को होती है। आप {workingDays} काम करते हैं।',
+    'daysOff.whichDaysHelp': 'हफ़्ते में आपकी छुट्टी किन दिनों को होती है? उदाहरण के लिए, "set my days off to Friday and Saturday" कहें।',
+    'daysOff.whichDays': 'हफ़्ते में आपकी छुट्टी किन दिनों को होती है?',
+    'daysOff.needWorkingDay': 'हफ़्ते में कम से कम एक कामकाजी दिन होना चाहिए। आपकी छुट्टी किन दिनों को होती है?',
+    'daysOff.noneSet': 'ठीक है, अब आप हफ़्ते के सभी दिन काम करते हैं।',
+    'daysOff.set': 'ठीक है, {summary}',
+    'daysOff.setError': 'माफ़ कीजिए, आपकी छुट्टियाँ सेव करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'daysOff.none': 'हफ़्ते में आपकी कोई तय छुट्टी नहीं है। आप हफ़्ते के सभी दिन काम करते हैं।',
+    'daysOff.alsoOff': ' इसके अलावा {rules} को भी आपकी छुट्टी होती है।',
+    'daysOff.fetchError': 'माफ़ कीजिए, आपकी छुट्टियाँ लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'ordinal.1': 'पहले',
+    'ordinal.2': 'दूसरे',
+    'ordinal.3': 'तीसरे',
+    'ordinal.4': 'चौथे',
+    'ordinal.5': 'पाँचवें',
+    'ordinal.-1': 'आख़िरी',
+
+    'offDayRule.alternate': '{date} से हर दूसरा {weekday}',
+    'offDayRule.monthly': 'हर महीने का {weeks} {weekday}',
+    'offDayRule.help': 'बताइए कि महीने में किन दिनों आपकी छुट्टी होती है, जैसे "second and fourth Saturdays off" या "alternate Saturdays off starting October 10th"।',
+    'offDayRule.whichDays': 'महीने में किन दिनों आपकी छुट्टी होती है?',
+    'offDayRule.whichAnchorHelp': 'किस {weekday} को आपकी छुट्टी है? उदाहरण के लिए, "alternate Saturdays off starting October 10th" कहें।',
+    'offDayRule.whichAnchor': 'किस {weekday} को आपकी छुट्टी है?',
+    'offDayRule.wrongWeekday': '{date} को {actual} है, {weekday} नहीं। किस {weekday} को आपकी छुट्टी है?',
+    'offDayRule.badOrdinal': 'मैं महीने का पहला से पाँचवाँ या आख़िरी दिन सेट कर सकती हूँ। उदाहरण के लिए, "second and fourth Saturdays off" कहें।',
+    'offDayRule.added': 'ठीक है, अब {rule} को आपकी छुट्टी रहेगी। ये दिन कामकाजी दिनों में नहीं गिने जाएँगे।',
+    'offDayRule.whichToRemove': 'हफ़्ते के किस दिन की छुट्टी का नियम हटाऊँ? उदाहरण के लिए, "remove my Saturday rule" कहें।',
+    'offDayRule.whichWeekday': 'हफ़्ते का कौन सा दिन?',
+    'offDayRule.forWeekday': ' {weekday} के लिए',
+    'offDayRule.noneToRemove': 'आपकी कोई मासिक या हर दूसरे हफ़्ते वाली छुट्टी{which} नहीं है।',
+    'offDayRule.removed': 'ठीक है, मैंने{which} आपकी मासिक और हर दूसरे हफ़्ते वाली छुट्टियाँ हटा दी हैं। वे दिन फिर से कामकाजी दिन गिने जाएँगे।',
+
+    'holiday.periodToday': 'आज {name}',
+    'holiday.periodOn': '{day} को {name}',
+    'holiday.periodRange': '{startDay} से {endDate} तक {name}',
+    'holiday.nameNeeded': 'कृपया छुट्टी का नाम बताइए। उदाहरण के लिए, "mark holiday for Diwali" कहें।',
+    'holiday.whatName': 'छुट्टी का नाम क्या है?',
+    'holiday.whichDay': 'आप किस दिन को छुट्टी दर्ज करना चाहेंगे?',
+    'holiday.alreadyMarked': '{day} के लिए पहले से {status} दर्ज है।',
+    'holiday.markedToday': 'आज के लिए {status} दर्ज कर दी गई है।',
+    'holiday.marked': '{day} के लिए {status} दर्ज कर दी गई है।',
+    'holiday.markError': 'माफ़ कीजिए, छुट्टी दर्ज करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'holiday.noneInMonth': '{month} में आपकी कोई छुट्टी नहीं है।',
+    'holiday.inMonth': '{month} में आपकी छुट्टियाँ हैं: {holidays}।',
+    'holiday.moreInMonth': ' उस महीने {count} और छुट्टियाँ हैं।',
+    'holiday.fetchError': 'माफ़ कीजिए, आपकी छुट्टियाँ लाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'holiday.noneUpcoming': 'आपकी कोई आने वाली छुट्टी नहीं है। जोड़ने के लिए "mark holiday for Diwali on November 8th" कहें।',
+    'holiday.next': 'आपकी अगली छुट्टी है: {holiday}।',
+    'holiday.inDays': ' यानी {count} दिन बाद।',
+    'holiday.tomorrow': ' यानी कल।',
+    'holiday.whichToRemove': 'मैं किस दिन की छुट्टी हटाऊँ? उदाहरण के लिए, "remove the holiday on October 24th" कहें।',
+    'holiday.whichToRemoveReprompt': 'मैं किस दिन की छुट्टी हटाऊँ?',
+    'holiday.notMarked': '{day} के लिए कोई छुट्टी दर्ज नहीं है।',
+    'holiday.confirmRemove': '{day} के लिए {status} दर्ज है। क्या मैं इसे हटा दूँ?',
+    'holiday.confirmRemoveReprompt': 'क्या मैं {day} की छुट्टी हटा दूँ?',
+    'holiday.removeError': 'माफ़ कीजिए, छुट्टी हटाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'holiday.renameNeeded': 'दिन और नया नाम बताइए, जैसे "rename Monday\'s holiday to Dussehra"।',
+    'holiday.renameReprompt': 'मैं किस छुट्टी का नाम बदलूँ, और क्या रखूँ?',
+    'holiday.notMarkedToRename': '{day} के लिए कोई छुट्टी दर्ज नहीं है। छुट्टी जोड़ने के लिए "mark holiday for {name}" कहें।',
+    'holiday.renamed': 'ठीक है, मैंने {day} की छुट्टी का नाम {oldName} से बदलकर {newName} कर दिया है।',
+    'holiday.renameError': 'माफ़ कीजिए, छुट्टी का नाम बदलते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'holiday.removed': 'ठीक है, मैंने {day} की {status} हटा दी है।',
+
+    'list.and': ' और ',
+
+    'common.whatNext': 'आप क्या करना चाहेंगे?',
+    'common.whatNextOkay': 'ठीक है, अब आप क्या करना चाहेंगे?',
+    'common.noChanges': 'ठीक है, मैं कुछ नहीं बदलूँगी। और कुछ चाहिए तो बताइए।',
+    'common.goodbye': 'अलविदा! आपका दिन शुभ हो!',
+    'common.fallback': 'माफ़ कीजिए, मैं समझ नहीं पाई। आप हाज़िरी दर्ज कर सकते हैं, प्रतिशत पूछ सकते हैं, या और विकल्पों के लिए "help" कह सकते हैं। आप क्या करना चाहेंगे?',
+    'common.error': 'माफ़ कीजिए, आपका कहा करने में मुझे दिक़्क़त हुई। कृपया फिर से कोशिश करें।',
+    'common.tryAgain': 'कृपया फिर से कोशिश करें।',
+
+    'date.range': '{startDate} से {endDate}',
+    'date.heard': 'आपने तारीख़ {date} बताई। आप इस तारीख़ के साथ क्या करना चाहेंगे?',
+    'date.whatToDo': 'आप इस तारीख़ के साथ क्या करना चाहेंगे?',
+    'date.notUnderstood': 'मुझे समझ नहीं आया कि आप किस तारीख़ की बात कर रहे हैं। कृपया फिर से कोशिश करें।',
+
+    'launch.welcome': 'Attendance Tracker में आपका स्वागत है! आप अपनी हाज़िरी उपस्थित, अनुपस्थित या छुट्टी के रूप में दर्ज कर सकते हैं, और महीने या सत्र की हाज़िरी का प्रतिशत पूछ सकते हैं। आप क्या करना चाहेंगे?',
+    'launch.reprompt': 'आप क्या करना चाहेंगे? आप "mark present", "mark absent" कह सकते हैं, या हाज़िरी का प्रतिशत पूछ सकते हैं।',
+    'launch.welcomeShort': 'Attendance Tracker में आपका स्वागत है! आप क्या करना चाहेंगे?',
+
+    'create.start': 'ठीक है, चलिए नया सत्र बनाते हैं। आप इस सत्र का क्या नाम रखना चाहेंगे?',
+    'create.willBePreset': ' यह सत्र आपका Alexa प्रीसेट बन जाएगा।',
+    'create.whatName': 'मैं इस सत्र को क्या नाम दूँ?',
+    'create.startError': 'माफ़ कीजिए, सत्र बनाना शुरू करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'create.nameNeeded': 'कृपया सत्र का नाम बताइए। उदाहरण के लिए, "create session called Summer 2024" कहें।',
+    'create.whatNameReprompt': 'आप इस सत्र का क्या नाम रखना चाहेंगे?',
+    'create.askStartDate': 'ठीक है, मैं "{session}" सत्र बनाऊँगी। यह सत्र कब शुरू होता है? कृपया शुरुआत की तारीख़ बताइए, जैसे "June 1st 2024" या "2024-06-01"।',
+    'create.startDateReprompt': 'कृपया इस सत्र की शुरुआत की तारीख़ बताइए।',
+    'create.error': 'माफ़ कीजिए, सत्र बनाते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+    'create.done': '"{session}" सत्र {startDate} से {endDate} तक के लिए बना दिया गया है।',
+    'create.donePreset': ' मैंने इसे आपका Alexa प्रीसेट सत्र भी बना दिया है।',
+    'create.endDateNeeded': 'मुझे आख़िरी तारीख़ ठीक-ठीक चाहिए, जैसे "August 31st 2024"। सत्र कब ख़त्म होता है?',
+    'create.whenEnd': 'सत्र कब ख़त्म होता है?',
+    'create.endBeforeStart': '{endDate} शुरुआत की तारीख़ {startDate} से पहले है। सत्र कब ख़त्म होता है?',
+    'create.overlapSession': '{session} ({startDate} से {endDate})',
+    'create.overlap': '{startDate} से {endDate} तक का सत्र {sessions} से टकराएगा। क्या मैं फिर भी इसे बना दूँ? आप कोई और आख़िरी तारीख़ भी बता सकते हैं।',
+    'create.overlapReprompt': 'क्या मैं फिर भी सत्र बना दूँ, या आप कोई और आख़िरी तारीख़ बताना चाहेंगे?',
+    'create.startDateNeeded': 'मुझे शुरुआत की तारीख़ ठीक-ठीक चाहिए, जैसे "June 1st 2024"। सत्र कब शुरू होता है?',
+    'create.whenStart': 'सत्र कब शुरू होता है?',
+    'create.askEndDate': 'ठीक है, {startDate} से शुरू। सत्र कब ख़त्म होता है?',
+    'create.endDateReprompt': 'कृपया सत्र की आख़िरी तारीख़ बताइए।',
+    'create.missedStartDate': 'मुझे शुरुआत की तारीख़ समझ नहीं आई। कृपया तारीख़ बताइए, जैसे "June 1st 2024" या "2024-06-01"।',
+    'create.missedEndDate': 'मुझे आख़िरी तारीख़ समझ नहीं आई। कृपया तारीख़ बताइए, जैसे "August 31st 2024" या "2024-08-31"।',
+    'create.startFromYes': 'बढ़िया! आप इस सत्र का क्या नाम रखना चाहेंगे? उदाहरण के लिए, "Summer 2024" या "Academic Year 2024-25"।',
+
+    'weight.help': 'आप तय कर सकते हैं कि आधा दिन, देर से आना या ऑन ड्यूटी दिन कितना गिना जाए। उदाहरण के लिए, "count half days as 50 percent" कहें।',
+    'weight.reprompt': 'आप कौन सी स्थिति बदलना चाहेंगे, और उसे कितना गिना जाए?',
+    'weight.outOfRange': 'कृपया 0 से 100 प्रतिशत के बीच का मान चुनिए।',
+    'weight.howMuch': 'इसे कितना गिना जाए?',
+    'weight.set.half-day': 'ठीक है, आधा दिन अब उपस्थित दिन का {percent} प्रतिशत गिना जाएगा।',
+    'weight.set.late': 'ठीक है, देर से आना अब उपस्थित दिन का {percent} प्रतिशत गिना जाएगा।',
+    'weight.set.on-duty': 'ठीक है, ऑन ड्यूटी दिन अब उपस्थित दिन का {percent} प्रतिशत गिना जाएगा।',
+    'weight.setError': 'माफ़ कीजिए, यह सेटिंग सेव करते समय कोई गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+
+    'help.text': 'हाज़िरी दर्ज करने के लिए "mark present", "mark absent" या "mark holiday for [holiday name]" कहें। आप "mark half day", "mark late" या "mark on duty" भी कह सकते हैं। दूसरे दिनों के लिए दिन या दिनों की सीमा जोड़ें, जैसे "mark absent yesterday" या "mark absent from Monday to Wednesday"। प्रतिशत जानने के लिए "monthly attendance" या "session attendance" पूछें। पिछले दिनों के बारे में जानने के लिए "what\'s my status for last Tuesday", "when was I last absent" या "which days did I miss this month" पूछें। भूले हुए दिन भरने के लिए "which days haven\'t I marked" कहें। दूसरी अवधियों के लिए "what was my attendance last week" या "last quarter" पूछें। "set my attendance target to 75 percent" से लक्ष्य रखें, फिर "how many days can I miss" या "how many days do I need to attend" पूछें। सत्र बनाने के लिए "create session" कहें, और सत्र बदलने के लिए "use session [session name]"। विषयों के लिए "add subject physics" कहें। छुट्टियाँ सुनने के लिए "what holidays do I have this month" या "when is my next holiday" पूछें। हफ़्ते की छुट्टियाँ बदलने के लिए "set my days off to Friday and Saturday" कहें। रोज़ याद दिलाने के लिए "remind me to mark attendance every weekday at 6 pm" कहें। पिछला बदलाव वापस लेने के लिए "undo that" कहें। आप क्या करना चाहेंगे?'
   }
-  
-  if (userData.notEnrolled && userData.notEnrolled.includes(date)) {
-    return 'not-enrolled';
+};
+
+// ============================================================
+// ALEXA USER PROFILE & AUTHENTICATION
+// ============================================================
+
+// Get Alexa user profile from account linking
+async function getAlexaUserProfile(accessToken) {
+  try {
+    const response = await fetch('https://api.amazon.com/user/profile', {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+    
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.error('Error fetching Alexa user profile:', error);
   }
-  
   return null;
 }
 
-// Set day status with correct structure
-async function setDayStatus(attendanceKey, date, status, extraData = {}) {
-  const userData = await getUserData(attendanceKey);
-  
-  const records = userData.records || {};
-  let holidays = userData.holidays || [];
-  let notEnrolled = userData.notEnrolled || [];
-  
-  delete records[date];
-  holidays = holidays.filter(h => h.date !== date);
-  notEnrolled = notEnrolled.filter(d => d !== date);
-  
-  if (status === 'present') {
-    records[date] = true;
-  } else if (status === 'absent') {
-    records[date] = false;
-  } else if (status === 'holiday') {
-    holidays.push({ date, name: extraData.holidayName || 'Holiday' });
-  } else if (status === 'not-enrolled') {
-    notEnrolled.push(date);
-  }
-  
-  await updateUserData(attendanceKey, {
-    records,
-    holidays,
-    notEnrolled,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  });
-  
-  return { success: true };
-}
 // ============================================================
-// ATTENDANCE CALCULATIONS
+// TIME ZONE
 // ============================================================
 
-// Monthly attendance calculation
-async function calculateMonthlyAttendance(attendanceKey, yearMonth) {
-  const userData = await getUserData(attendanceKey);
-  const [year, month] = yearMonth.split('-').map(Number);
-  
-  const daysInMonth = new Date(year, month, 0).getDate();
-  let presentDays = 0;
-  let totalWorkingDays = 0;
-  const today = getFormattedDate();
-  
-  for (let day = 1; day <= daysInMonth; day++) {
-    const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    
-    if (dateStr > today) continue;
-    if (isNonWorkingDay(dateStr, userData)) continue;
-    
-    const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
-    if (isHoliday) continue;
-    
-    const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
-    if (isNotEnrolled) continue;
-    
-    totalWorkingDays++;
+// Look up the device's time zone (e.g. "Asia/Kolkata") through the Alexa
+// settings API. Returns null when the device or API is unavailable.
+async function getDeviceTimeZone(handlerInput) {
+  try {
+    const deviceId = Alexa.getDeviceId(handlerInput.requestEnvelope);
+    const { serviceClientFactory } = handlerInput;
+    if (!deviceId || !serviceClientFactory) return null;
     
-    if (userData.records && userData.records[dateStr] === true) {
-      presentDays++;
-    }
+    const upsServiceClient = serviceClientFactory.getUpsServiceClient();
+    return await upsServiceClient.getSystemTimeZone(deviceId);
+  } catch (error) {
+    console.error('Error fetching device time zone:', error);
+    return null;
   }
-  
-  return totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
 }
 
-// Session attendance calculation
-async function calculateSessionAttendance(attendanceKey, sessionName = null) {
-  const userData = await getUserData(attendanceKey);
-  
-  let startDate, endDate;
-  let sessionUsed = 'current session';
-  
-  const sessions = userData.sessions || [];
-  const selectedSession = sessions.find(s => s.isSelected === true);
-  
-  if (selectedSession) {
-    startDate = selectedSession.startDate;
-    endDate = selectedSession.endDate || getFormattedDate();
-    sessionUsed = selectedSession.name || sessionUsed;
-  }
+// Time zone resolved for this session, or null to use the server clock
+function getRequestTimeZone(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  return sessionAttributes.timeZone || null;
+}
+
+// Keep the session's time zone on the attendance document so calculations
+// and the web app use it, or fall back to the stored one when the device
+// time zone could not be resolved. Runs once per session and key, and only
+// writes when the time zone changed.
+async function syncUserTimeZone(handlerInput, attendanceKey) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  if (sessionAttributes.timeZoneSyncedFor === attendanceKey) return;
   
-  if ((!startDate || !endDate) && sessionName) {
-    const session = sessions.find(s => 
-      s.name.toLowerCase() === sessionName.toLowerCase() || 
-      s.code === sessionName
-    );
-    if (session) {
-      startDate = session.startDate;
-      endDate = session.endDate;
-      sessionUsed = session.name;
+  const userData = await getRequestUserSettings(handlerInput);
+  if (sessionAttributes.timeZone) {
+    if (userData.timeZone !== sessionAttributes.timeZone) {
+      await updateUserData(attendanceKey, { timeZone: sessionAttributes.timeZone });
+      // Keep this request's cached settings in step with the write
+      const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+      requestAttributes.userSettings = Promise.resolve({ ...userData, timeZone: sessionAttributes.timeZone });
     }
+  } else if (userData.timeZone) {
+    sessionAttributes.timeZone = userData.timeZone;
   }
   
-  if (!startDate || !endDate) {
-    const currentYear = getLocalDate().getUTCFullYear();
-    startDate = `${currentYear}-01-01`;
-    endDate = `${currentYear}-12-31`;
-    sessionUsed = 'current year';
-  }
-  
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const today = new Date(getFormattedDate());
-  
-  let presentDays = 0;
-  let totalWorkingDays = 0;
-  
-  const currentDate = new Date(start);
-  while (currentDate <= end && currentDate <= today) {
-    const dateStr = currentDate.toISOString().split('T')[0];
-    
-    if (isNonWorkingDay(dateStr, userData)) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
-    if (isHoliday) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
-    if (isNotEnrolled) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    totalWorkingDays++;
+  sessionAttributes.timeZoneSyncedFor = attendanceKey;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+// Resolve the device time zone at the start of each session
+const TimeZoneRequestInterceptor = {
+  async process(handlerInput) {
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    if (sessionAttributes.timeZone || sessionAttributes.timeZoneLookedUp) return;
     
-    if (userData.records && userData.records[dateStr] === true) {
-      presentDays++;
+    const timeZone = await getDeviceTimeZone(handlerInput);
+    if (timeZone) {
+      sessionAttributes.timeZone = timeZone;
     }
-    
-    currentDate.setDate(currentDate.getDate() + 1);
+    sessionAttributes.timeZoneLookedUp = true;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
   }
-  
-  const percentage = totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
-  
-  return {
-    percentage,
-    sessionName: sessionUsed,
-    presentDays,
-    totalWorkingDays
-  };
-}
+};
 
 // ============================================================
-// SESSION MANAGEMENT
+// DATABASE OPERATIONS - USER MANAGEMENT (FLAT STRUCTURE)
 // ============================================================
 
-// Set selected session
-async function setAlexaPresetSession(attendanceKey, sessionIdentifier) {
-  const userData = await getUserData(attendanceKey);
-  if (!userData.sessions || userData.sessions.length === 0) {
-    return { success: false, error: 'No sessions found' };
-  }
-  
-  const found = userData.sessions.find(s => 
-    s.code === sessionIdentifier || 
-    (s.name && s.name.toLowerCase() === String(sessionIdentifier).toLowerCase())
-  );
-  
-  if (!found) return { success: false, error: 'Session not found' };
-  
-  const sessions = userData.sessions.map(session => ({
-    ...session,
-    isSelected: session.code === found.code
-  }));
-  
-  await updateUserData(attendanceKey, { sessions });
-  return { success: true, session: found };
-}
+// FIXED: Find Google user by email in flat credentials collection
+async function findGoogleUserByEmail(email) {
+  try {
+    const found = await getStore().findCredentialsByEmail(email);
 
-// Get selected session
-async function getAlexaPresetSession(attendanceKey) {
-  const userData = await getUserData(attendanceKey);
-  const sessions = userData.sessions || [];
-  return sessions.find(s => s.isSelected === true) || null;
-}
+    if (!found) {
+      return null;
+    }
 
-// Clear selected session
+    const { id, data } = found;
+    console.log(`Found matching Google user: ${id} for email: ${email}`);
+    return {
+      uid: id,
+      key: data.key || id,
+      email: data.email,
+      name: data.name || data.username || null
+    };
+  } catch (error) {
+    console.error('Error finding Google user by email:', error);
+    return null;
+  }
+}
+
+// FIXED: Create Alexa user document in flat structure with "alexa-" prefix
+async function createAlexaUserDocument(alexaUserId, alexaProfile, linkedGoogleUid = null, sharedKey = null) {
+  // Use "alexa-" prefix to distinguish from Google UIDs
+  const alexaDocId = `alexa-${alexaUserId}`;
+  const userKey = sharedKey || `key-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+  
+  const alexaUserData = {
+    alexaUserId: alexaUserId,
+    email: alexaProfile?.email || null,
+    name: alexaProfile?.name || 'Alexa User',
+    type: 'alexa',
+    key: userKey,
+    linkedGoogleUid: linkedGoogleUid || null,
+    mappedToGoogle: !!linkedGoogleUid
+  };
+  
+  await getStore().createCredentials(alexaDocId, alexaUserData);
+  
+  console.log(`Created Alexa user document: ${alexaDocId}, key: ${userKey}, linked: ${!!linkedGoogleUid}`);
+  return { alexaDocId, userKey };
+}
+
+// FIXED: Check if Alexa user already exists
+async function getExistingAlexaUser(alexaUserId) {
+  const alexaDocId = `alexa-${alexaUserId}`;
+  const data = await getStore().getCredentials(alexaDocId);
+  
+  if (data) {
+    return {
+      exists: true,
+      alexaDocId,
+      key: data.key,
+      linkedGoogleUid: data.linkedGoogleUid || null,
+      mappedToGoogle: data.mappedToGoogle || false
+    };
+  }
+  
+  return { exists: false };
+}
+
+// FIXED: Main user mapping function - simplified flat structure
+async function findOrCreateUserMapping(handlerInput, alexaUserId, accessToken) {
+  try {
+    // Check if Alexa user already exists
+    const existingAlexa = await getExistingAlexaUser(alexaUserId);
+    
+    if (existingAlexa.exists) {
+      console.log(`Alexa user already exists: ${existingAlexa.alexaDocId}, key: ${existingAlexa.key}`);
+      return existingAlexa.key; // Return the key for attendance access
+    }
+    
+    // Get Alexa user profile
+    const alexaProfile = await getAlexaUserProfile(accessToken);
+    const alexaEmail = alexaProfile && alexaProfile.email;
+    
+    if (alexaEmail) {
+      console.log(`Looking for Google user with email: ${alexaEmail}`);
+      
+      // Search for existing Google user with matching email
+      const googleUser = await findGoogleUserByEmail(alexaEmail);
+      
+      if (googleUser) {
+        console.log(`Found matching Google user: ${googleUser.uid}, sharing key: ${googleUser.key}`);
+        
+        // Create Alexa user linked to Google user (share the same key)
+        const { userKey } = await createAlexaUserDocument(
+          alexaUserId, 
+          alexaProfile, 
+          googleUser.uid, 
+          googleUser.key
+        );
+        
+        return userKey;
+      }
+      
+      console.log('No matching Google user found by email');
+    }
+    
+    // If no existing Google user found, create standalone Alexa user
+    console.log('Creating standalone Alexa user');
+    const { userKey } = await createAlexaUserDocument(alexaUserId, alexaProfile, null, null);
+    
+    return userKey;
+    
+  } catch (error) {
+    console.error('Error in findOrCreateUserMapping:', error);
+    // Fallback: create standalone Alexa user
+    const { userKey } = await createAlexaUserDocument(alexaUserId, null, null, null);
+    return userKey;
+  }
+}
+
+// FIXED: Get attendance key - works with flat structure
+async function getAttendanceKey(identifier) {
+  const credentials = getStore();
+  
+  try {
+    // Check if this is an Alexa user (starts with "alexa-" or raw Alexa ID)
+    let docId = identifier;
+    
+    if (identifier.startsWith('amzn1.ask.account.')) {
+      docId = `alexa-${identifier}`;
+    }
+    
+    const data = await credentials.getCredentials(docId);
+    
+    if (data) {
+      // If it's an Alexa user linked to Google, get the Google user's key
+      if (data.linkedGoogleUid && data.mappedToGoogle) {
+        const googleData = await credentials.getCredentials(data.linkedGoogleUid);
+        if (googleData && googleData.key) {
+          return String(googleData.key).trim();
+        }
+      }
+      
+      // Return the user's own key
+      if (data.key) {
+        return String(data.key).trim();
+      }
+    }
+    
+    // Fallback: try as Google user directly
+    if (!identifier.startsWith('alexa-')) {
+      const googleData = await credentials.getCredentials(identifier);
+      if (googleData && googleData.key) {
+        return String(googleData.key).trim();
+      }
+    }
+  } catch (error) {
+    console.error('Error getting attendance key:', error);
+  }
+  
+  // Last resort: return the identifier itself
+  return identifier;
+}
+
+// Get user key from Alexa user ID. The key is looked up once per session
+// and kept in the session attributes, and once resolved for a request it
+// is kept in the request attributes too.
+async function getUserKey(handlerInput) {
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  if (requestAttributes.attendanceKey) return requestAttributes.attendanceKey;
+  
+  const alexaUserId = handlerInput.requestEnvelope.context.System.user.userId;
+  const accessToken = getAccessToken(handlerInput);
+  
+  if (!accessToken) {
+    throw new Error('No access token available');
+  }
+  
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  let attendanceKey = sessionAttributes.attendanceKeyFor === alexaUserId ? sessionAttributes.attendanceKey : null;
+  if (!attendanceKey) {
+    // This will create mapping if needed and return the attendance key
+    attendanceKey = await findOrCreateUserMapping(handlerInput, alexaUserId, accessToken);
+    sessionAttributes.attendanceKey = attendanceKey;
+    sessionAttributes.attendanceKeyFor = alexaUserId;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  }
+  requestAttributes.attendanceKey = attendanceKey;
+  
+  try {
+    await syncUserTimeZone(handlerInput, attendanceKey);
+  } catch (error) {
+    console.error('Error syncing time zone:', error);
+  }
+  
+  return attendanceKey;
+}
+
+// Resolve the linked user before any handler runs, so every handler in the
+// request shares one lookup. Handlers still call getUserKey, which returns
+// the resolved key or retries if this failed.
+const UserRequestInterceptor = {
+  async process(handlerInput) {
+    if (!getAccessToken(handlerInput)) return;
+    
+    try {
+      await getUserKey(handlerInput);
+    } catch (error) {
+      console.error('Error resolving user:', error);
+    }
+  }
+};
+
+// Helper retained for compatibility
+async function ensureUserCredentials(attendanceKey) {
+  // Just return the key - no need to create anything
+  return attendanceKey;
+}
+
+// ============================================================
+// ATTENDANCE DATA OPERATIONS
+// ============================================================
+
+// FIXED: Get user data using attendance key
+// Day data lives in one document per month, attendance/{key}/months/{YYYY-MM},
+// each with the same records, holidays, notEnrolled and subjectRecords
+// fields the parent document used to hold. The parent keeps sessions,
+// subjects and settings.
+const DAY_DATA_FIELDS = ['records', 'holidays', 'notEnrolled', 'subjectRecords'];
+
+// Every YYYY-MM month from startDate's to endDate's
+function getMonthsInRange(startDate, endDate) {
+  const months = [];
+  for (let month = startDate.substring(0, 7); month <= endDate.substring(0, 7); month = addDays(`${month}-28`, 4).substring(0, 7)) {
+    months.push(month);
+  }
+  return months;
+}
+
+function emptyDayData() {
+  return { records: {}, holidays: [], notEnrolled: [], subjectRecords: {} };
+}
+
+// Group flat day data by month
+function splitDayDataByMonth(dayData) {
+  const months = {};
+  const monthOf = date => {
+    const month = date.substring(0, 7);
+    months[month] = months[month] || emptyDayData();
+    return months[month];
+  };
+  
+  Object.entries(dayData.records || {}).forEach(([date, value]) => {
+    monthOf(date).records[date] = value;
+  });
+  (dayData.holidays || []).forEach(holiday => monthOf(holiday.date).holidays.push(holiday));
+  (dayData.notEnrolled || []).forEach(date => monthOf(date).notEnrolled.push(date));
+  Object.entries(dayData.subjectRecords || {}).forEach(([code, records]) => {
+    Object.entries(records || {}).forEach(([date, value]) => {
+      const month = monthOf(date);
+      month.subjectRecords[code] = month.subjectRecords[code] || {};
+      month.subjectRecords[code][date] = value;
+    });
+  });
+  
+  return months;
+}
+
+// Move day data still stored on the parent document (older documents, or
+// clients writing the flat layout) into the month documents. Runs in a
+// transaction so two requests can't migrate the same document at once.
+async function migrateToMonthDocuments(attendanceKey, data) {
+  for (let attempt = 1; ; attempt++) {
+    const months = Object.keys(splitDayDataByMonth(data));
+    
+    const migrated = await getStore().runAttendanceTransaction(attendanceKey, months, current => {
+      const settings = current.settings || {};
+      if (!DAY_DATA_FIELDS.some(field => settings[field] !== undefined)) {
+        return { result: settings };
+      }
+      
+      const byMonth = splitDayDataByMonth(settings);
+      // Day data for another month was added since the first read
+      if (Object.keys(byMonth).some(month => !months.includes(month))) {
+        return { result: null };
+      }
+      
+      const monthUpdates = {};
+      Object.entries(byMonth).forEach(([month, monthData]) => {
+        const merged = mergeMonthData([current.months[month], monthData]);
+        monthUpdates[month] = {
+          ...merged,
+          holidays: merged.holidays.filter((h, index) => merged.holidays.findIndex(other => other.date === h.date) === index),
+          notEnrolled: [...new Set(merged.notEnrolled)]
+        };
+      });
+      
+      const cleared = {};
+      const remaining = { ...settings };
+      DAY_DATA_FIELDS.forEach(field => {
+        cleared[field] = undefined;
+        delete remaining[field];
+      });
+      return { settings: cleared, months: monthUpdates, result: remaining };
+    });
+    
+    if (migrated) {
+      console.log(`Moved day data for ${attendanceKey} into month documents`);
+      return migrated;
+    }
+    if (attempt >= TRANSACTION_ATTEMPTS) {
+      throw new Error('Day data kept changing while moving it into month documents');
+    }
+    data = (await getStore().getAttendance(attendanceKey)) || {};
+  }
+}
+
+// The parent attendance document: sessions, subjects and settings, without
+// any day data
+async function getUserSettings(attendanceKey) {
+  const data = await getStore().getAttendance(attendanceKey);
+  if (!data) return {};
+  
+  if (DAY_DATA_FIELDS.some(field => data[field] !== undefined)) {
+    return migrateToMonthDocuments(attendanceKey, data);
+  }
+  return data;
+}
+
+// Add the day data for some YYYY-MM months (all of them when null) to the
+// parent document's data
+async function addDayData(attendanceKey, userData, months = null) {
+  const monthData = await getStore().getMonths(attendanceKey, months === null ? null : [...new Set(months)]);
+  return { ...userData, ...mergeMonthData(Object.values(monthData)) };
+}
+
+// Combine the day data of several months; missing months can be null
+function mergeMonthData(monthDataList) {
+  const merged = emptyDayData();
+  monthDataList.filter(Boolean).forEach(monthData => {
+    Object.assign(merged.records, monthData.records || {});
+    merged.holidays.push(...(monthData.holidays || []));
+    merged.notEnrolled.push(...(monthData.notEnrolled || []));
+    Object.entries(monthData.subjectRecords || {}).forEach(([code, records]) => {
+      merged.subjectRecords[code] = { ...merged.subjectRecords[code], ...records };
+    });
+  });
+  return merged;
+}
+
+// The attendance document with the day data for some YYYY-MM months, or
+// for every month when none are given
+async function getUserData(attendanceKey, months = null) {
+  const userData = await getUserSettings(attendanceKey);
+  return addDayData(attendanceKey, userData, months);
+}
+
+// The same reads for skill handlers, shared by everything that runs in one
+// request through the request attributes. They return the data as first
+// read in the request, so read again with the functions above after
+// writing.
+async function getRequestUserSettings(handlerInput) {
+  const attendanceKey = await getUserKey(handlerInput);
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  if (!requestAttributes.userSettings) {
+    requestAttributes.userSettings = getUserSettings(attendanceKey);
+  }
+  return requestAttributes.userSettings;
+}
+
+async function getRequestUserData(handlerInput, months) {
+  const attendanceKey = await getUserKey(handlerInput);
+  const userData = await getRequestUserSettings(handlerInput);
+  
+  const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+  const monthData = requestAttributes.monthData = requestAttributes.monthData || {};
+  const wanted = [...new Set(months)];
+  const missing = wanted.filter(month => !(month in monthData));
+  if (missing.length > 0) {
+    const loaded = await getStore().getMonths(attendanceKey, missing);
+    missing.forEach(month => {
+      monthData[month] = loaded[month] || null;
+    });
+  }
+  
+  return { ...userData, ...mergeMonthData(wanted.map(month => monthData[month])) };
+}
+
+// FIXED: Update user data using attendance key. Replaces the given
+// top-level fields.
+async function updateUserData(attendanceKey, updates) {
+  await getStore().updateAttendance(attendanceKey, updates);
+}
+
+// Read-modify-write of the parent attendance document in a transaction, so
+// a change made at the same moment from the web app or another Echo isn't
+// overwritten. `update` gets the current settings and returns
+// { updates, result }; leave out updates to write nothing. It can run more
+// than once, so it must not have side effects.
+async function updateUserSettings(attendanceKey, update) {
+  // Also moves older flat documents into month documents first
+  await getUserSettings(attendanceKey);
+  
+  return getStore().runAttendanceTransaction(attendanceKey, [], current => {
+    const { updates, result } = update(current.settings || {});
+    return { settings: updates, result };
+  });
+}
+
+// Statuses kept in `records` besides present (true) and absent (false)
+const PARTIAL_STATUSES = ['half-day', 'late', 'on-duty'];
+const RECORD_STATUSES = ['present', 'absent', ...PARTIAL_STATUSES];
+
+// How much a day with each status counts toward presentDays. Users can
+// override these with a `statusWeights` map on their attendance document.
+const DEFAULT_STATUS_WEIGHTS = {
+  present: 1,
+  absent: 0,
+  'half-day': 0.5,
+  late: 1,
+  'on-duty': 1
+};
+
+function getStatusWeights(userData) {
+  return { ...DEFAULT_STATUS_WEIGHTS, ...(userData.statusWeights || {}) };
+}
+
+// Set how much a partial status counts, as a fraction between 0 and 1
+async function setStatusWeight(attendanceKey, status, weight) {
+  if (!PARTIAL_STATUSES.includes(status)) {
+    return { success: false, error: 'Unknown status' };
+  }
+  if (!(weight >= 0 && weight <= 1)) {
+    return { success: false, error: 'Weight out of range' };
+  }
+  
+  return updateUserSettings(attendanceKey, userData => ({
+    updates: { statusWeights: { ...userData.statusWeights, [status]: weight } },
+    result: { success: true }
+  }));
+}
+
+// What a working day without a record counts as: 'absent' keeps it in the
+// totals as not present, 'exclude' leaves it out until it is marked
+const UNMARKED_POLICIES = ['absent', 'exclude'];
+
+function getUnmarkedPolicy(userData) {
+  return UNMARKED_POLICIES.includes(userData.unmarkedPolicy) ? userData.unmarkedPolicy : 'absent';
+}
+
+async function setUnmarkedPolicy(attendanceKey, policy) {
+  if (!UNMARKED_POLICIES.includes(policy)) {
+    return { success: false, error: 'Unknown policy' };
+  }
+  
+  await updateUserData(attendanceKey, { unmarkedPolicy: policy });
+  return { success: true, unmarkedPolicy: policy };
+}
+
+// Replace the weekly days off (0 = Sunday). At least one day has to stay
+// a working day.
+async function setDaysOff(attendanceKey, daysOff) {
+  const days = [...new Set(daysOff)].sort((a, b) => a - b);
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { success: false, error: 'Unknown day of the week' };
+  }
+  if (days.length === 7) {
+    return { success: false, error: 'At least one working day is required' };
+  }
+  
+  await updateUserData(attendanceKey, { daysOff: days });
+  return { success: true, daysOff: days };
+}
+
+// Check and clean up an off-day rule from the API or a voice request.
+// Returns the rule to store, or null when it isn't valid.
+function normalizeOffDayRule(rule) {
+  if (!rule || !Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6) return null;
+  
+  if (rule.type === 'nth-weekday') {
+    // "last" sorts after the numbered weeks
+    const weeks = [...new Set(rule.weeks || [])].sort((a, b) => (a === -1 ? 6 : a) - (b === -1 ? 6 : b));
+    if (weeks.length === 0 || weeks.some(week => ![-1, 1, 2, 3, 4, 5].includes(week))) return null;
+    return { type: rule.type, weekday: rule.weekday, weeks };
+  }
+  
+  if (rule.type === 'alternate') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rule.anchorDate || '')) return null;
+    if (getDayOfWeek(rule.anchorDate) !== rule.weekday) return null;
+    return { type: rule.type, weekday: rule.weekday, anchorDate: rule.anchorDate };
+  }
+  
+  return null;
+}
+
+// Replace all off-day rules
+async function setOffDayRules(attendanceKey, rules) {
+  const normalized = rules.map(normalizeOffDayRule);
+  if (normalized.includes(null)) {
+    return { success: false, error: 'Invalid off-day rule' };
+  }
+  
+  await updateUserData(attendanceKey, { offDayRules: normalized });
+  return { success: true, offDayRules: normalized };
+}
+
+// Add an off-day rule, replacing any earlier rule for the same weekday
+async function addOffDayRule(attendanceKey, rule) {
+  const normalized = normalizeOffDayRule(rule);
+  if (!normalized) {
+    return { success: false, error: 'Invalid off-day rule' };
+  }
+  
+  return updateUserSettings(attendanceKey, userData => {
+    const rules = (userData.offDayRules || []).filter(r => r.weekday !== normalized.weekday);
+    const offDayRules = [...rules, normalized];
+    return { updates: { offDayRules }, result: { success: true, offDayRules } };
+  });
+}
+
+// Remove the off-day rules for a weekday, or all of them
+async function removeOffDayRules(attendanceKey, weekday = null) {
+  return updateUserSettings(attendanceKey, userData => {
+    const rules = userData.offDayRules || [];
+    const remaining = weekday === null ? [] : rules.filter(r => r.weekday !== weekday);
+    return {
+      updates: { offDayRules: remaining },
+      result: { success: true, removed: rules.length - remaining.length }
+    };
+  });
+}
+
+// Convert between stored record values and status names
+function recordToStatus(value) {
+  if (value === true) return 'present';
+  if (value === false) return 'absent';
+  return value;
+}
+
+function statusToRecord(status) {
+  if (status === 'present') return true;
+  if (status === 'absent') return false;
+  return status;
+}
+
+// Spoken form of a status: "half-day" -> "half day"
+function describeStatus(status, t = getTranslator()) {
+  return t(`status.${status}`);
+}
+
+// Map a spoken status like "half day" or "on-duty" to its stored name
+function normalizeStatus(value) {
+  if (!value) return null;
+  const status = String(value).toLowerCase().trim().replace(/[\s_]+/g, '-');
+  if (status === 'halfday') return 'half-day';
+  if (status === 'onduty' || status === 'duty') return 'on-duty';
+  return RECORD_STATUSES.includes(status) ? status : null;
+}
+
+// Read a day's status from an already loaded attendance document. With a
+// subject code, only that subject's present/absent record is considered.
+function getDayStatusFromData(userData, date, subjectCode = null) {
+  if (subjectCode) {
+    const subjectRecords = (userData.subjectRecords || {})[subjectCode] || {};
+    if (subjectRecords[date] === undefined) return null;
+    return recordToStatus(subjectRecords[date]);
+  }
+  
+  if (userData.records && userData.records[date] !== undefined) {
+    return recordToStatus(userData.records[date]);
+  }
+  
+  if (userData.holidays && userData.holidays.some(h => h.date === date)) {
+    const holiday = userData.holidays.find(h => h.date === date);
+    return { status: 'holiday', name: holiday.name };
+  }
+  
+  if (userData.notEnrolled && userData.notEnrolled.includes(date)) {
+    return 'not-enrolled';
+  }
+  
+  return null;
+}
+
+// Where a status change came from, as recorded in the change history
+const CHANGE_SOURCE_ALEXA = 'alexa';
+const CHANGE_SOURCE_WEB = 'web';
+const CHANGE_SOURCE_IMPORT = 'import';
+
+// Normalize a getDayStatus value into what the change history stores
+function toHistoryValue(status) {
+  if (!status) return null;
+  if (status.status === 'holiday') {
+    return { status: 'holiday', holidayName: status.name || 'Holiday' };
+  }
+  return { status };
+}
+
+function isSameHistoryValue(a, b) {
+  if (!a || !b) return a === b;
+  return a.status === b.status && (a.holidayName || null) === (b.holidayName || null);
+}
+
+// Months a list of day changes touches
+function getChangedMonths(changes) {
+  return [...new Set(changes.map(c => c.date.substring(0, 7)))];
+}
+
+// Apply a list of { date, status, holidayName, subject } changes in one
+// transaction and record them as one entry in the change history.
+// A null status clears the day. Changes with a subject code only touch that
+// subject's present/absent records. Only the month documents of the changed
+// days are read and written, and the transaction is retried if another
+// write changes them in the meantime.
+async function applyDayChanges(attendanceKey, changes, meta = {}) {
+  // Also moves older flat documents into month documents first
+  await getUserSettings(attendanceKey);
+  
+  return getStore().runAttendanceTransaction(attendanceKey, getChangedMonths(changes), current =>
+    buildDayChanges(current, changes, meta)
+  );
+}
+
+// The writes for applyDayChanges, for use inside a transaction. current is
+// what runAttendanceTransaction passes to its update, and must include the
+// months of all changed days.
+function buildDayChanges(current, changes, meta = {}) {
+  const months = getChangedMonths(changes);
+  const userData = { ...current.settings, ...mergeMonthData(Object.values(current.months)) };
+  
+  const dateSet = new Set(changes.filter(c => !c.subject).map(c => c.date));
+  const monthUpdates = {};
+  months.forEach(month => {
+    const monthData = current.months[month] || {};
+    monthUpdates[month] = {
+      records: { ...monthData.records },
+      holidays: (monthData.holidays || []).filter(h => !dateSet.has(h.date)),
+      notEnrolled: (monthData.notEnrolled || []).filter(d => !dateSet.has(d)),
+      subjectRecords: { ...monthData.subjectRecords }
+    };
+  });
+  const entries = [];
+  
+  changes.forEach(({ date, status, holidayName, subject }) => {
+    const { records, holidays, notEnrolled, subjectRecords } = monthUpdates[date.substring(0, 7)];
+    
+    if (subject) {
+      const oldValue = toHistoryValue(getDayStatusFromData(userData, date, subject));
+      const newValue = RECORD_STATUSES.includes(status) ? { status } : null;
+      
+      subjectRecords[subject] = { ...subjectRecords[subject] };
+      if (newValue) {
+        subjectRecords[subject][date] = statusToRecord(status);
+      } else {
+        delete subjectRecords[subject][date];
+      }
+      
+      if (!isSameHistoryValue(oldValue, newValue)) {
+        const found = (userData.subjects || []).find(s => s.code === subject);
+        entries.push({ date, subject, subjectName: found ? found.name : subject, oldValue, newValue });
+      }
+      return;
+    }
+    
+    const oldValue = toHistoryValue(getDayStatusFromData(userData, date));
+    let newValue = null;
+    
+    delete records[date];
+    if (RECORD_STATUSES.includes(status)) {
+      records[date] = statusToRecord(status);
+      newValue = { status };
+    } else if (status === 'holiday') {
+      holidays.push({ date, name: holidayName || 'Holiday' });
+      newValue = { status, holidayName: holidayName || 'Holiday' };
+    } else if (status === 'not-enrolled') {
+      notEnrolled.push(date);
+      newValue = { status };
+    }
+    
+    if (!isSameHistoryValue(oldValue, newValue)) {
+      entries.push({ date, oldValue, newValue });
+    }
+  });
+  
+  const history = {};
+  let changeId = null;
+  if (entries.length > 0) {
+    changeId = current.historyId;
+    history[changeId] = {
+      type: meta.undoOf ? 'undo' : 'change',
+      undoOf: meta.undoOf || null,
+      source: meta.source || CHANGE_SOURCE_ALEXA,
+      changes: entries,
+      changedAt: new Date().toISOString(),
+      changedOn: getFormattedDate(new Date(), userData.timeZone),
+      undoneAt: null
+    };
+  }
+  if (meta.undoOf) {
+    history[meta.undoOf] = { undoneAt: new Date().toISOString() };
+  }
+  
+  return {
+    months: monthUpdates,
+    history,
+    result: { success: true, count: changes.length, changeId }
+  };
+}
+
+// Set the same status on several days with a single write
+async function setDaysStatus(attendanceKey, dates, status, extraData = {}) {
+  const changes = dates.map(date => ({
+    date,
+    status,
+    holidayName: extraData.holidayName,
+    subject: extraData.subject
+  }));
+  return applyDayChanges(attendanceKey, changes, { source: extraData.source });
+}
+
+// Set day status with correct structure
+async function setDayStatus(attendanceKey, date, status, extraData = {}) {
+  const result = await setDaysStatus(attendanceKey, [date], status, extraData);
+  return { success: true, changeId: result.changeId };
+}
+
+// Why attendance can't be marked on a day, or null when it can. Subject
+// attendance also needs the day itself to be a normal working day.
+function checkDayRules(userData, date, subject, timeZone = null, t = getTranslator()) {
+  if (isNonWorkingDay(date, userData)) {
+    return t('mark.nonWorkingDay', { day: describeDay(date, true, timeZone, t) });
+  }
+  
+  if (subject) {
+    const dayStatus = getDayStatusFromData(userData, date);
+    if (dayStatus && !RECORD_STATUSES.includes(dayStatus.status || dayStatus)) {
+      return t('mark.noSubjectClass', {
+        day: describeDay(date, true, timeZone, t),
+        status: describeStatus(dayStatus.status || dayStatus, t),
+        subject: subject.name
+      });
+    }
+  }
+  
+  return null;
+}
+
+// Days in a range that a bulk mark applies to: working days, and for a
+// subject only those that aren't a holiday or not-enrolled day
+function getMarkableDates(userData, startDate, endDate, subject = null) {
+  return getDatesInRange(startDate, endDate).filter(date => {
+    if (isNonWorkingDay(date, userData)) return false;
+    if (!subject) return true;
+    const dayStatus = getDayStatusFromData(userData, date);
+    return !dayStatus || RECORD_STATUSES.includes(dayStatus.status || dayStatus);
+  });
+}
+
+// ============================================================
+// CHANGE HISTORY
+// ============================================================
+
+// Most recent change history entries, newest first
+async function getRecentChanges(attendanceKey, limit = 20) {
+  return getStore().getRecentHistory(attendanceKey, limit);
+}
+
+// How far back in the change history undo looks for a change to revert
+const UNDO_HISTORY_LIMIT = 20;
+
+// Revert the most recent change that has not been undone yet. Finding the
+// change, marking it undone and restoring the days happen in one
+// transaction, so two undos at the same moment can't revert it twice.
+async function undoLastChange(attendanceKey, source = CHANGE_SOURCE_ALEXA) {
+  // Also moves older flat documents into month documents first
+  await getUserSettings(attendanceKey);
+  
+  const findLast = history => history.find(e => e.type === 'change' && !e.undoneAt);
+  
+  return getStore().runAttendanceTransaction(attendanceKey, history => {
+    const last = findLast(history);
+    return last ? getChangedMonths(last.changes) : [];
+  }, current => {
+    const last = findLast(current.history);
+    if (!last) {
+      return { result: { success: false, error: 'Nothing to undo' } };
+    }
+    
+    const changes = last.changes.map(({ date, subject, oldValue }) => ({
+      date,
+      subject,
+      status: oldValue ? oldValue.status : null,
+      holidayName: oldValue ? oldValue.holidayName : undefined
+    }));
+    
+    const { months, history } = buildDayChanges(current, changes, { source, undoOf: last.id });
+    return { months, history, result: { success: true, undone: last } };
+  }, UNDO_HISTORY_LIMIT);
+}
+
+// Spoken form of a change history value
+function describeHistoryValue(value, t = getTranslator()) {
+  if (!value) return t('status.unmarked');
+  if (value.status === 'holiday' && value.holidayName) {
+    return describeHoliday(value.holidayName, t);
+  }
+  return describeStatus(value.status, t);
+}
+
+// "holiday for Diwali"
+function describeHoliday(holidayName, t = getTranslator()) {
+  return t('status.holidayFor', { name: holidayName });
+}
+
+// " in Maths" after a status or day, or '' without a subject
+function describeInSubject(subjectName, t = getTranslator()) {
+  return subjectName ? t('subject.in', { subject: subjectName }) : '';
+}
+
+// Spoken summary of one change history entry
+function describeChangeEntry(entry, t = getTranslator()) {
+  const changes = entry.changes || [];
+  const inSubject = describeInSubject(changes.length > 0 && changes[0].subjectName, t);
+  if (changes.length === 1) {
+    const { date, oldValue, newValue } = changes[0];
+    return t('history.entryOneDay', {
+      date: formatAlexaDate(date, t),
+      inSubject,
+      oldValue: describeHistoryValue(oldValue, t),
+      newValue: describeHistoryValue(newValue, t)
+    });
+  }
+  
+  const dates = changes.map(c => c.date).sort();
+  return t('history.entryDays', {
+    count: changes.length,
+    inSubject,
+    startDate: formatAlexaDate(dates[0], t),
+    endDate: formatAlexaDate(dates[dates.length - 1], t)
+  });
+}
+// ============================================================
+// ATTENDANCE CALCULATIONS
+// ============================================================
+
+// Whether a day counts toward working days: not a weekly day off, holiday
+// or not-enrolled day
+function isCountableDay(dateStr, userData) {
+  if (isNonWorkingDay(dateStr, userData)) return false;
+  
+  const isHoliday = userData.holidays && userData.holidays.some(h => h.date === dateStr);
+  if (isHoliday) return false;
+  
+  const isNotEnrolled = userData.notEnrolled && userData.notEnrolled.includes(dateStr);
+  if (isNotEnrolled) return false;
+  
+  return true;
+}
+
+function toPercentage(presentDays, totalWorkingDays) {
+  return totalWorkingDays > 0 ? Math.round((presentDays / totalWorkingDays) * 100) : 0;
+}
+
+// Count present and working days from startDate to endDate, up to today.
+// Each status adds its weight to presentDays, and statusCounts reports how
+// many working days had each status. Day-level records count an unmarked
+// working day as not present, or leave it out of the totals when the
+// user's unmarked policy is 'exclude'; either way it shows up in
+// statusCounts.unmarked. A subject only counts the days it has a record
+// for, since not every subject has a class on every working day.
+function countAttendance(userData, startDate, endDate, subjectCode = null) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const records = subjectCode
+    ? (userData.subjectRecords || {})[subjectCode] || {}
+    : userData.records || {};
+  const weights = getStatusWeights(userData);
+  const excludeUnmarked = getUnmarkedPolicy(userData) === 'exclude';
+  
+  let presentDays = 0;
+  let totalWorkingDays = 0;
+  const statusCounts = { unmarked: 0 };
+  RECORD_STATUSES.forEach(status => { statusCounts[status] = 0; });
+  
+  for (let dateStr = startDate; dateStr <= endDate && dateStr <= today; dateStr = addDays(dateStr, 1)) {
+    if (!isCountableDay(dateStr, userData)) continue;
+    
+    if (subjectCode && records[dateStr] === undefined) continue;
+    
+    const status = records[dateStr] === undefined ? 'unmarked' : recordToStatus(records[dateStr]);
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+    if (status === 'unmarked' && excludeUnmarked) continue;
+    
+    totalWorkingDays++;
+    presentDays += weights[status] || 0;
+  }
+  
+  return {
+    percentage: toPercentage(presentDays, totalWorkingDays),
+    // Weights can make this fractional; avoid floating point noise in speech
+    presentDays: Math.round(presentDays * 100) / 100,
+    totalWorkingDays,
+    statusCounts
+  };
+}
+
+// Sentence listing the partial statuses behind a result, or ''
+function describeStatusCounts(result, t = getTranslator()) {
+  const counts = result.statusCounts || {};
+  const parts = PARTIAL_STATUSES
+    .filter(status => counts[status] > 0)
+    .map(status => t(`statusCount.${status}`, { count: counts[status] }));
+  
+  if (parts.length === 0) return '';
+  return t('stats.includes', { parts: joinNames(parts, t) });
+}
+
+// Sentence about working days left unmarked behind a result, or ''
+function describeUnmarkedCount(result, userData, t = getTranslator()) {
+  const count = (result.statusCounts || {}).unmarked || 0;
+  if (count === 0) return '';
+  return getUnmarkedPolicy(userData) === 'exclude'
+    ? t('unmarked.leftOut', { count })
+    : t('unmarked.countedAbsent', { count });
+}
+
+// Per-subject counts plus an overall rollup across all subjects
+function countSubjectAttendance(userData, startDate, endDate) {
+  const subjects = (userData.subjects || []).map(subject => ({
+    name: subject.name,
+    code: subject.code,
+    ...countAttendance(userData, startDate, endDate, subject.code)
+  }));
+  
+  const presentDays = subjects.reduce((sum, s) => sum + s.presentDays, 0);
+  const totalWorkingDays = subjects.reduce((sum, s) => sum + s.totalWorkingDays, 0);
+  
+  return {
+    subjects,
+    overall: {
+      percentage: toPercentage(presentDays, totalWorkingDays),
+      // Summing rounded fractional days can add floating point noise again
+      presentDays: Math.round(presentDays * 100) / 100,
+      totalWorkingDays
+    }
+  };
+}
+
+// Attendance for one subject, or day-level attendance with a per-subject
+// breakdown when no subject is given
+function countAttendanceWithSubjects(userData, startDate, endDate, subjectName) {
+  if (subjectName) {
+    const subject = findSubject(userData, subjectName);
+    if (!subject) {
+      return { success: false, error: 'Subject not found' };
+    }
+    return {
+      success: true,
+      subjectName: subject.name,
+      ...countAttendance(userData, startDate, endDate, subject.code)
+    };
+  }
+  
+  const result = { success: true, ...countAttendance(userData, startDate, endDate) };
+  if ((userData.subjects || []).length > 0) {
+    Object.assign(result, countSubjectAttendance(userData, startDate, endDate));
+  }
+  return result;
+}
+
+// First and last day of a YYYY-MM month
+function getMonthBounds(yearMonth) {
+  const [year, month] = yearMonth.split('-').map(Number);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  return {
+    startDate: `${yearMonth}-01`,
+    endDate: `${yearMonth}-${String(daysInMonth).padStart(2, '0')}`
+  };
+}
+
+// Monthly attendance from a document that has the month's day data loaded
+function countMonthlyAttendance(userData, yearMonth, subjectName = null) {
+  const { startDate, endDate } = getMonthBounds(yearMonth);
+  return countAttendanceWithSubjects(userData, startDate, endDate, subjectName);
+}
+
+// Monthly attendance calculation
+async function calculateMonthlyAttendance(attendanceKey, yearMonth, subjectName = null) {
+  const userData = await getUserData(attendanceKey, [yearMonth]);
+  return countMonthlyAttendance(userData, yearMonth, subjectName);
+}
+
+// Session attendance calculation
+async function calculateSessionAttendance(attendanceKey, sessionName = null, subjectName = null) {
+  const settings = await getUserSettings(attendanceKey);
+  
+  const today = getFormattedDate(new Date(), settings.timeZone);
+  let startDate, endDate;
+  let sessionUsed = 'current session';
+  let targetPercentage = settings.targetPercentage || null;
+  
+  const sessions = settings.sessions || [];
+  const selectedSession = sessions.find(s => s.isSelected === true);
+  
+  if (selectedSession) {
+    startDate = selectedSession.startDate;
+    endDate = selectedSession.endDate || today;
+    sessionUsed = selectedSession.name || sessionUsed;
+    targetPercentage = selectedSession.targetPercentage || targetPercentage;
+  }
+  
+  if ((!startDate || !endDate) && sessionName) {
+    const session = sessions.find(s => 
+      s.name.toLowerCase() === sessionName.toLowerCase() || 
+      s.code === sessionName
+    );
+    if (session) {
+      startDate = session.startDate;
+      endDate = session.endDate;
+      sessionUsed = session.name;
+      targetPercentage = session.targetPercentage || targetPercentage;
+    }
+  }
+  
+  if (!startDate || !endDate) {
+    const currentYear = today.substring(0, 4);
+    startDate = `${currentYear}-01-01`;
+    endDate = `${currentYear}-12-31`;
+    sessionUsed = 'current year';
+  }
+  
+  const userData = await addDayData(attendanceKey, settings, getMonthsInRange(startDate, endDate));
+  
+  let remainingWorkingDays = 0;
+  for (let dateStr = addDays(today, 1); dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
+    if (dateStr >= startDate && isCountableDay(dateStr, userData)) {
+      remainingWorkingDays++;
+    }
+  }
+  
+  return {
+    ...countAttendanceWithSubjects(userData, startDate, endDate, subjectName),
+    sessionName: sessionUsed,
+    startDate,
+    endDate,
+    targetPercentage,
+    remainingWorkingDays
+  };
+}
+
+// What it takes to stay at or get back to a target percentage, given a
+// calculateSessionAttendance result and the working days left in it:
+// - absencesAllowed: absences that still keep the session at the target
+//   if every other remaining day is attended (null if the target can't be
+//   reached even then)
+// - presentsNeeded: consecutive presents needed to reach the target from
+//   now (0 when already there, null if it can't be reached)
+// - noWorkingDays: true when no working day has been counted yet, so there
+//   is no percentage to compare with the target
+function projectAttendance(result, targetPercentage) {
+  const target = targetPercentage / 100;
+  const { presentDays, totalWorkingDays, remainingWorkingDays } = result;
+  
+  const finalTotal = totalWorkingDays + remainingWorkingDays;
+  const slack = presentDays + remainingWorkingDays - target * finalTotal;
+  // Small epsilon so exact hits like 75.0 percent are not lost to rounding
+  const absencesAllowed = slack >= -1e-9 ? Math.floor(slack + 1e-9) : null;
+  
+  let presentsNeeded = 0;
+  if (totalWorkingDays > 0 && presentDays / totalWorkingDays < target) {
+    presentsNeeded = target >= 1
+      ? null
+      : Math.ceil((target * totalWorkingDays - presentDays) / (1 - target) - 1e-9);
+    if (presentsNeeded !== null && presentsNeeded > remainingWorkingDays) {
+      presentsNeeded = null;
+    }
+  }
+  
+  return { targetPercentage, absencesAllowed, presentsNeeded, noWorkingDays: totalWorkingDays === 0 };
+}
+
+// Whether a calculateSessionAttendance result is below its target
+function isBelowTarget(result) {
+  if (!result.targetPercentage || result.totalWorkingDays === 0) return false;
+  return (result.presentDays / result.totalWorkingDays) * 100 < result.targetPercentage;
+}
+
+// Warning to append after marking an absence that took the session below
+// its target, or ''. `before` is the calculateSessionAttendance result from
+// before the absence was marked, so an absence outside the session or one
+// that leaves it no lower than before says nothing.
+async function describeTargetWarning(attendanceKey, before, t = getTranslator()) {
+  const result = await calculateSessionAttendance(attendanceKey);
+  if (!isBelowTarget(result) || isBelowTarget(before)) return '';
+  
+  const { presentsNeeded } = projectAttendance(result, result.targetPercentage);
+  let warning = t('target.warning', {
+    session: describeSessionName(result, t),
+    percentage: result.percentage,
+    target: result.targetPercentage
+  });
+  if (presentsNeeded === null) {
+    warning += t('target.warningUnreachable');
+  } else {
+    warning += t('target.warningPresentsNeeded', { count: presentsNeeded });
+  }
+  return warning;
+}
+
+// Spoken name of the session a calculateSessionAttendance result is for
+function describeSessionName(result, t = getTranslator()) {
+  if (result.sessionName === 'current session') return t('session.current');
+  if (result.sessionName === 'current year') return t('session.currentYear');
+  return result.sessionName;
+}
+
+// ============================================================
+// SESSION MANAGEMENT
+// ============================================================
+
+// Set selected session
+async function setAlexaPresetSession(attendanceKey, sessionIdentifier) {
+  return updateUserSettings(attendanceKey, userData => {
+    if (!userData.sessions || userData.sessions.length === 0) {
+      return { result: { success: false, error: 'No sessions found' } };
+    }
+    
+    const matches = s =>
+      s.code === sessionIdentifier || 
+      (s.name && s.name.toLowerCase() === String(sessionIdentifier).toLowerCase());
+    const found = userData.sessions.find(s => !s.archived && matches(s));
+    
+    if (!found) {
+      const archived = userData.sessions.some(matches);
+      return { result: { success: false, error: archived ? 'Session is archived' : 'Session not found' } };
+    }
+    
+    const sessions = userData.sessions.map(session => ({
+      ...session,
+      isSelected: session.code === found.code
+    }));
+    
+    return { updates: { sessions }, result: { success: true, session: found } };
+  });
+}
+
+// Get selected session
+async function getAlexaPresetSession(attendanceKey) {
+  const userData = await getUserSettings(attendanceKey);
+  const sessions = userData.sessions || [];
+  return sessions.find(s => s.isSelected === true) || null;
+}
+
+// Clear selected session
 async function clearAlexaPresetSession(attendanceKey) {
-  const userData = await getUserData(attendanceKey);
+  return updateUserSettings(attendanceKey, userData => {
+    const sessions = (userData.sessions || []).map(session => ({
+      ...session,
+      isSelected: false
+    }));
+    return { updates: { sessions }, result: { success: true } };
+  });
+}
+
+// Save session
+async function saveSession(attendanceKey, sessionName, startDate, endDate, setAsPreset = false) {
+  const sessionCode = generateSessionCode(sessionName);
+  
+  const sessionData = {
+    name: sessionName,
+    code: sessionCode,
+    startDate,
+    endDate,
+    createdAt: new Date().toISOString(),
+    isSelected: setAsPreset
+  };
+  
+  return updateUserSettings(attendanceKey, userData => {
+    const sessions = userData.sessions || [];
+    const existingIndex = sessions.findIndex(s => 
+      s.name.toLowerCase() === sessionName.toLowerCase() || 
+      s.code === sessionCode
+    );
+    
+    let updatedSessions;
+    if (existingIndex !== -1) {
+      updatedSessions = [...sessions];
+      updatedSessions[existingIndex] = sessionData;
+    } else {
+      updatedSessions = [...sessions, sessionData];
+    }
+    
+    if (setAsPreset) {
+      updatedSessions = updatedSessions.map(session => ({
+        ...session,
+        isSelected: session.code === sessionCode
+      }));
+    }
+    
+    updatedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    return { updates: { sessions: updatedSessions }, result: sessionData };
+  });
+}
+
+// Set the attendance target for a session: the named one, else the Alexa
+// preset, else a default used when no session is selected
+async function setSessionTarget(attendanceKey, targetPercentage, sessionIdentifier = null) {
+  return updateUserSettings(attendanceKey, userData => {
+    const sessions = userData.sessions || [];
+    
+    const found = sessionIdentifier
+      ? sessions.find(s => 
+          s.code === sessionIdentifier || 
+          (s.name && s.name.toLowerCase() === String(sessionIdentifier).toLowerCase())
+        )
+      : sessions.find(s => s.isSelected === true);
+    
+    if (sessionIdentifier && !found) {
+      return { result: { success: false, error: 'Session not found' } };
+    }
+    
+    if (!found) {
+      return { updates: { targetPercentage }, result: { success: true, session: null } };
+    }
+    
+    const updatedSessions = sessions.map(session => 
+      session.code === found.code ? { ...session, targetPercentage } : session
+    );
+    
+    return { updates: { sessions: updatedSessions }, result: { success: true, session: found } };
+  });
+}
+
+// Get available sessions; archived ones are left out unless asked for
+async function getAvailableSessions(attendanceKey, includeArchived = false) {
+  const userData = await getUserSettings(attendanceKey);
   const sessions = userData.sessions || [];
+  return includeArchived ? sessions : sessions.filter(s => !s.archived);
+}
+
+// Find a session by code, or by name (case-insensitive)
+function findSession(sessions, identifier) {
+  return sessions.find(s => s.code === identifier) ||
+    sessions.find(s => s.name && s.name.toLowerCase() === String(identifier).toLowerCase()) ||
+    null;
+}
+
+const SESSION_NAME_TAKEN = 'Another session already has that name';
+
+// Whether a session other than the one with exceptCode is called name, which
+// would make finding sessions by name ambiguous
+function isSessionNameTaken(sessions, name, exceptCode = null) {
+  return sessions.some(s => 
+    s.code !== exceptCode && s.name && s.name.toLowerCase() === String(name).trim().toLowerCase()
+  );
+}
+
+// Active sessions whose dates overlap startDate to endDate, except one
+// with the given name (saving under the same name replaces it)
+function findOverlappingSessions(sessions, startDate, endDate, sessionName = null) {
+  return sessions.filter(s => 
+    !s.archived &&
+    !(sessionName && s.name && s.name.toLowerCase() === sessionName.toLowerCase()) &&
+    s.startDate <= endDate &&
+    (!s.endDate || s.endDate >= startDate)
+  );
+}
+
+// When the preset session goes away, select the active session that covers
+// today, if there is exactly one
+function choosePresetAfterRemoval(sessions, today) {
+  if (sessions.some(s => s.isSelected)) return sessions;
+  
+  const current = sessions.filter(s => 
+    !s.archived && s.startDate <= today && (!s.endDate || s.endDate >= today)
+  );
+  if (current.length !== 1) return sessions;
+  
+  return sessions.map(s => ({ ...s, isSelected: s.code === current[0].code }));
+}
+
+// Change a session's name, dates or archived flag. The code never changes,
+// so links from the web app keep working.
+async function updateSession(attendanceKey, sessionIdentifier, changes) {
+  return updateUserSettings(attendanceKey, userData => {
+    const sessions = userData.sessions || [];
+    const found = findSession(sessions, sessionIdentifier);
+    if (!found) return { result: { success: false, error: 'Session not found' } };
+    
+    const updated = { ...found, updatedAt: new Date().toISOString() };
+    if (changes.name !== undefined) {
+      const name = String(changes.name).trim();
+      if (!name) return { result: { success: false, error: 'Session name is required' } };
+      if (isSessionNameTaken(sessions, name, found.code)) {
+        return { result: { success: false, error: SESSION_NAME_TAKEN } };
+      }
+      updated.name = name;
+    }
+    ['startDate', 'endDate'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    // Sessions without an end date run until today
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(updated.startDate) || (updated.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(updated.endDate))) {
+      return { result: { success: false, error: 'Dates must be in YYYY-MM-DD format' } };
+    }
+    if (updated.endDate && updated.startDate > updated.endDate) {
+      return { result: { success: false, error: 'Start date is after end date' } };
+    }
+    if (changes.archived !== undefined) {
+      updated.archived = changes.archived === true;
+      // An archived session can't stay the one Alexa reports on
+      if (updated.archived) updated.isSelected = false;
+    }
+    
+    let updatedSessions = sessions.map(s => s.code === found.code ? updated : s);
+    if (found.isSelected && !updated.isSelected) {
+      updatedSessions = choosePresetAfterRemoval(updatedSessions, getFormattedDate(new Date(), userData.timeZone));
+    }
+    
+    return {
+      updates: { sessions: updatedSessions },
+      result: {
+        success: true,
+        session: updatedSessions.find(s => s.code === found.code),
+        previous: found,
+        preset: updatedSessions.find(s => s.isSelected) || null
+      }
+    };
+  });
+}
+
+// Archived sessions keep their data but drop out of session lists
+async function archiveSession(attendanceKey, sessionIdentifier) {
+  return updateSession(attendanceKey, sessionIdentifier, { archived: true });
+}
+
+// Delete a session. Attendance records are kept, since they belong to days
+// rather than sessions.
+async function deleteSession(attendanceKey, sessionIdentifier) {
+  return updateUserSettings(attendanceKey, userData => {
+    const sessions = userData.sessions || [];
+    const found = findSession(sessions, sessionIdentifier);
+    if (!found) return { result: { success: false, error: 'Session not found' } };
+    
+    let updatedSessions = sessions.filter(s => s.code !== found.code);
+    if (found.isSelected) {
+      updatedSessions = choosePresetAfterRemoval(updatedSessions, getFormattedDate(new Date(), userData.timeZone));
+    }
+    
+    return {
+      updates: { sessions: updatedSessions },
+      result: { success: true, session: found, preset: updatedSessions.find(s => s.isSelected) || null }
+    };
+  });
+}
+// ============================================================
+// REMINDERS
+// ============================================================
+
+const REMINDERS_PERMISSION = 'alexa::alerts:reminders:skill:readwrite';
+
+// Builds the client used for the Alexa Reminders API. Replace it with
+// setRemindersClientFactory to run against a local fake.
+let remindersClientFactory = handlerInput =>
+  handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+
+function setRemindersClientFactory(factory) {
+  remindersClientFactory = factory;
+}
+
+function getRemindersClient(handlerInput) {
+  return remindersClientFactory(handlerInput);
+}
+
+function hasRemindersPermission(handlerInput) {
+  const permissions = handlerInput.requestEnvelope.context.System.user.permissions;
+  return !!(permissions && permissions.consentToken);
+}
+
+function requireRemindersPermission(handlerInput) {
+  return handlerInput.responseBuilder
+    .speak(getRequestTranslator(handlerInput)('reminder.permissionNeeded'))
+    .withAskForPermissionsConsentCard([REMINDERS_PERMISSION])
+    .getResponse();
+}
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Times for the AMAZON.TIME values Alexa gives for parts of the day
+const TIME_OF_DAY_DEFAULTS = { MO: '09:00', AF: '14:00', EV: '18:00', NI: '21:00' };
+const DEFAULT_REMINDER_TIME = '18:00';
+
+// Resolve an AMAZON.TIME slot value to HH:MM
+function resolveReminderTime(timeValue) {
+  if (!timeValue) return DEFAULT_REMINDER_TIME;
+  if (TIME_OF_DAY_DEFAULTS[timeValue]) return TIME_OF_DAY_DEFAULTS[timeValue];
+  return /^\d{2}:\d{2}$/.test(timeValue) ? timeValue : null;
+}
+
+// Spoken form of HH:MM in the translator's locale, e.g. "6 PM" or "6:30 PM".
+// Other languages name the part of the day instead, as in "शाम 6".
+function describeTime(time, t = getTranslator()) {
+  const [hour, minute] = time.split(':').map(Number);
+  const options = { hour: 'numeric', timeZone: 'UTC' };
+  if (minute !== 0) options.minute = '2-digit';
+  if (!t.locale.startsWith('en')) options.dayPeriod = 'long';
+  return new Date(Date.UTC(2026, 0, 1, hour, minute)).toLocaleTimeString(t.locale, options);
+}
+
+// Name of a day of the week (0 = Sunday) in the translator's locale.
+// January 4, 2026 was a Sunday.
+function describeWeekday(day, t = getTranslator()) {
+  return new Date(Date.UTC(2026, 0, 4 + day))
+    .toLocaleDateString(t.locale, { weekday: 'long', timeZone: 'UTC' });
+}
+
+// Spoken list of days of the week; a run of three or more consecutive days
+// is read as "Monday to Saturday"
+function describeWeekdays(weekdays, t = getTranslator()) {
+  const sorted = [...weekdays].sort((a, b) => a - b);
+  const consecutive = sorted.every((day, i) => i === 0 || day === sorted[i - 1] + 1);
+  if (sorted.length >= 3 && consecutive) {
+    return t('weekday.range', {
+      first: describeWeekday(sorted[0], t),
+      last: describeWeekday(sorted[sorted.length - 1], t)
+    });
+  }
+  return joinNames(sorted.map(day => describeWeekday(day, t)), t);
+}
+
+// Days of the week (0 = Sunday) the user works
+function getWorkingWeekdays(userData) {
+  return [0, 1, 2, 3, 4, 5, 6].filter(day => !isWeeklyDayOff(day, userData));
+}
+
+// Days of the week (0 = Sunday) the user has off
+function getDaysOff(userData) {
+  return [0, 1, 2, 3, 4, 5, 6].filter(day => isWeeklyDayOff(day, userData));
+}
+
+// Spoken days off and working days, e.g. "your day off is Sunday. You work
+// Monday to Saturday."
+function describeDaysOff(daysOff, capitalize = false, t = getTranslator()) {
+  const workingDays = [0, 1, 2, 3, 4, 5, 6].filter(day => !daysOff.includes(day));
+  const text = t('daysOff.summary', {
+    count: daysOff.length,
+    daysOff: describeWeekdays(daysOff, t),
+    workingDays: describeWeekdays(workingDays, t)
+  });
+  return capitalize ? capitalizeFirst(text, t) : text;
+}
+
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+
+// Week of the month for a spoken ordinal like "second", "2nd" or "last"
+function parseOrdinal(value) {
+  const word = String(value || '').toLowerCase().trim();
+  if (ORDINAL_WORDS[word]) return ORDINAL_WORDS[word];
+  const number = parseInt(word, 10);
+  return number >= 1 && number <= 5 ? number : null;
+}
+
+// Spoken form of an off-day rule, e.g. "the second and fourth Saturday of
+// every month" or "every other Saturday from October 10, 2026"
+function describeOffDayRule(rule, t = getTranslator()) {
+  const weekday = describeWeekday(rule.weekday, t);
+  if (rule.type === 'alternate') {
+    return t('offDayRule.alternate', { weekday, date: formatAlexaDate(rule.anchorDate, t) });
+  }
+  const weeks = joinNames(rule.weeks.map(week => t(`ordinal.${week}`)), t);
+  return t('offDayRule.monthly', { weeks, weekday });
+}
+
+// Day of the week (0 = Sunday) for a spoken name like "friday" or "fri"
+function parseWeekday(value) {
+  const name = String(value || '').toLowerCase().trim();
+  if (name.length < 3) return -1;
+  return WEEKDAY_NAMES.findIndex(day => day.toLowerCase().startsWith(name.substring(0, 3)));
+}
+
+// Values of a slot that may hold several, like "Friday and Saturday".
+// Multiple-value slots come as a list; single values are split on "and"
+// and commas.
+function getSlotValues(handlerInput, slotName) {
+  const slot = Alexa.getSlot(handlerInput.requestEnvelope, slotName);
+  if (!slot) return [];
+  
+  if (slot.slotValue && slot.slotValue.type === 'List') {
+    return slot.slotValue.values.map(v => v.value);
+  }
+  if (slot.value) {
+    return slot.value.split(/,|\band\b/).map(v => v.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+// Days of the week (0 = Sunday) in a slot, with -1 for unrecognized names
+function getWeekdaysFromSlot(handlerInput, slotName) {
+  return getSlotValues(handlerInput, slotName).map(parseWeekday);
+}
+
+// Reminder request that repeats at `time` on the given days of the week.
+// The Reminders API only repeats daily or weekly, so off-day rules like
+// "second and fourth Saturday" can't be left out; setting a reminder says
+// so instead.
+function buildAttendanceReminder(time, weekdays, locale, timeZone, t = getTranslator(locale)) {
+  const [hour, minute] = time.split(':');
+  const trigger = {
+    type: 'SCHEDULED_ABSOLUTE',
+    recurrence: {
+      startDateTime: `${getFormattedDate(new Date(), timeZone)}T${time}:00.000`,
+      recurrenceRules: [
+        `FREQ=WEEKLY;BYDAY=${weekdays.map(day => RRULE_DAYS[day]).join(',')};BYHOUR=${Number(hour)};BYMINUTE=${Number(minute)};BYSECOND=0;INTERVAL=1`
+      ]
+    }
+  };
+  // Without a time zone the Reminders API uses the device's own
+  if (timeZone) {
+    trigger.timeZoneId = timeZone;
+  }
+  
+  return {
+    requestTime: new Date().toISOString().replace('Z', ''),
+    trigger,
+    alertInfo: {
+      spokenInfo: {
+        content: [{ locale, text: t('reminder.content') }]
+      }
+    },
+    pushNotification: { status: 'ENABLED' }
+  };
+}
+
+// Active recurring reminders created by this skill
+async function getAttendanceReminders(remindersClient) {
+  const response = await remindersClient.getReminders();
+  return (response.alerts || []).filter(alert => alert.status === 'ON');
+}
+
+// Spoken summary of a reminder's recurrence rule, e.g. "at 6 PM, Monday to Saturday"
+function describeReminder(alert, t = getTranslator()) {
+  const rule = (((alert.trigger || {}).recurrence || {}).recurrenceRules || [])[0] || '';
+  const parts = {};
+  rule.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key] = value;
+  });
+  
+  let text = '';
+  if (parts.BYHOUR !== undefined) {
+    text += t('reminder.at', { time: describeTime(`${String(parts.BYHOUR).padStart(2, '0')}:${String(parts.BYMINUTE || 0).padStart(2, '0')}`, t) });
+  }
+  if (parts.BYDAY) {
+    text += `, ${describeWeekdays(parts.BYDAY.split(',').map(day => RRULE_DAYS.indexOf(day)), t)}`;
+  }
+  return text.trim() || t('reminder.once');
+}
+
+// Whether a Reminders API error means the user has not granted permission
+function isPermissionError(error) {
+  return error && (error.statusCode === 401 || error.statusCode === 403);
+}
+
+// ============================================================
+// HOLIDAYS
+// ============================================================
+
+// Holidays from startDate to endDate, in date order, with runs of
+// consecutive days that share a name merged into { name, startDate, endDate }
+function getHolidayPeriods(userData, startDate, endDate) {
+  const holidays = (userData.holidays || [])
+    .filter(h => h.date >= startDate && h.date <= endDate)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  
+  const periods = [];
+  holidays.forEach(holiday => {
+    const last = periods[periods.length - 1];
+    if (last && last.name === holiday.name && addDays(last.endDate, 1) === holiday.date) {
+      last.endDate = holiday.date;
+    } else {
+      periods.push({ name: holiday.name || 'Holiday', startDate: holiday.date, endDate: holiday.date });
+    }
+  });
+  return periods;
+}
+
+// Spoken holiday period, e.g. "Diwali on October 20, 2026" or "Diwali
+// break from October 20, 2026 to October 22, 2026"
+function describeHolidayPeriod(period, timeZone = null, t = getTranslator()) {
+  const name = period.name === 'Holiday' ? t('status.holiday') : period.name;
+  if (period.startDate === period.endDate) {
+    const day = describeDay(period.startDate, false, timeZone, t);
+    return day === t('day.today') ? t('holiday.periodToday', { name }) : t('holiday.periodOn', { name, day });
+  }
+  return t('holiday.periodRange', {
+    name,
+    startDay: describeDay(period.startDate, false, timeZone, t),
+    endDate: formatAlexaDate(period.endDate, t)
+  });
+}
+
+// The holiday on a date, or null
+function findHoliday(userData, date) {
+  return (userData.holidays || []).find(h => h.date === date) || null;
+}
+
+// ============================================================
+// HOLIDAY IMPORT
+// ============================================================
+
+// Most days a single import may add
+const MAX_IMPORT_DAYS = 1000;
+
+// Built-in holiday lists, by the name passed as `calendar`
+const HOLIDAY_CALENDARS = {
+  'in-national': {
+    name: 'Indian national holidays',
+    getHolidays: year => [
+      { date: `${year}-01-26`, name: 'Republic Day' },
+      { date: `${year}-08-15`, name: 'Independence Day' },
+      { date: `${year}-10-02`, name: 'Gandhi Jayanti' }
+    ]
+  }
+};
+
+// Undo iCalendar TEXT escaping
+function unescapeIcsText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// Date part of an iCalendar DATE or DATE-TIME value as YYYY-MM-DD
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Read { date, name } holidays from the VEVENTs of an iCalendar file.
+// All-day events spanning several days become one holiday per day (DTEND is
+// exclusive). Recurring events only contribute their first occurrence.
+function parseIcsHolidays(icsText) {
+  // Unfold continuation lines, which start with a space or tab
+  const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const holidays = [];
+  let skipped = 0;
+  let event = null;
+  
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      const startDate = parseIcsDate(event.DTSTART);
+      if (!startDate) {
+        skipped++;
+      } else {
+        const endDate = parseIcsDate(event.DTEND);
+        const lastDate = endDate && endDate > startDate ? addDays(endDate, -1) : startDate;
+        const name = event.SUMMARY ? unescapeIcsText(event.SUMMARY) : 'Holiday';
+        getDatesInRange(startDate, lastDate).forEach(date => holidays.push({ date, name }));
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    // Drop parameters such as DTSTART;VALUE=DATE
+    const property = line.substring(0, colon).split(';')[0].toUpperCase();
+    event[property] = line.substring(colon + 1);
+  });
+  
+  return { holidays, skipped };
+}
+
+// Merge imported holidays into the `holidays` array. Days that already
+// have the same holiday are reported as duplicates, and days marked with
+// another status are reported as conflicts and left alone unless
+// `overwrite` is set. Days more than MAX_FUTURE_HOLIDAY_DAYS ahead are
+// reported as too far and left out, as they would be when marked.
+async function importHolidays(attendanceKey, entries, options = {}) {
+  // Also moves older flat documents into month documents first
+  await getUserSettings(attendanceKey);
+  
+  // Days are checked inside the transaction, so a day marked while a large
+  // import runs is reported as a conflict rather than overwritten
+  return getStore().runAttendanceTransaction(attendanceKey, getChangedMonths(entries), current => {
+    const userData = { ...current.settings, ...mergeMonthData(Object.values(current.months)) };
+    const lastDate = addDays(getFormattedDate(new Date(), userData.timeZone), MAX_FUTURE_HOLIDAY_DAYS);
+    
+    const imported = [];
+    const duplicates = [];
+    const conflicts = [];
+    const tooFar = [];
+    const seen = new Set();
+    
+    entries.forEach(({ date, name }) => {
+      if (date > lastDate) {
+        tooFar.push({ date, name });
+        return;
+      }
+      if (seen.has(date)) {
+        duplicates.push({ date, name, existing: 'imported twice' });
+        return;
+      }
+      seen.add(date);
+      
+      const existing = getDayStatusFromData(userData, date);
+      if (existing && existing.status === 'holiday') {
+        duplicates.push({ date, name, existing: existing.name });
+        return;
+      }
+      if (existing && !options.overwrite) {
+        conflicts.push({ date, name, existing });
+        return;
+      }
+      imported.push({ date, name });
+    });
+    
+    const result = { imported, duplicates, conflicts, tooFar };
+    if (imported.length === 0) {
+      return { result };
+    }
+    
+    const changes = imported.map(({ date, name }) => ({ date, status: 'holiday', holidayName: name }));
+    const { months, history } = buildDayChanges(current, changes, { source: CHANGE_SOURCE_IMPORT });
+    return { months, history, result };
+  });
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+// Longest range a single export may cover
+const MAX_EXPORT_DAYS = 3660;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// First date the document has anything for, or null
+function getEarliestDate(userData) {
+  const dates = [
+    ...Object.keys(userData.records || {}),
+    ...(userData.holidays || []).map(h => h.date),
+    ...(userData.notEnrolled || []),
+    ...(userData.sessions || []).map(s => s.startDate)
+  ].filter(Boolean);
+  return dates.length > 0 ? dates.sort()[0] : null;
+}
+
+// Date range for an export from the `session`, `from` and `to` filters.
+// `from` and `to` override the session's own dates; without either, the
+// range runs from the first recorded day to today.
+function resolveExportRange(userData, filters) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  let session = null;
+  
+  if (filters.session) {
+    session = (userData.sessions || []).find(s => 
+      s.code === filters.session || 
+      (s.name && s.name.toLowerCase() === String(filters.session).toLowerCase())
+    );
+    if (!session) return { error: 'Session not found' };
+  }
+  
+  const startDate = filters.from || (session ? session.startDate : getEarliestDate(userData) || today);
+  const endDate = filters.to || (session && session.endDate ? session.endDate : today);
+  
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  if (startDate > endDate) {
+    return { error: 'The start date is after the end date' };
+  }
+  if (startDate < addDays(endDate, -MAX_EXPORT_DAYS)) {
+    return { error: `An export can cover at most ${MAX_EXPORT_DAYS} days` };
+  }
+  
+  return { startDate, endDate, session };
+}
+
+// Names of the sessions a date falls in
+function getSessionNamesForDate(userData, dateStr, today) {
+  return (userData.sessions || [])
+    .filter(s => s.startDate <= dateStr && dateStr <= (s.endDate || today))
+    .map(s => s.name);
+}
+
+// One row per day from startDate to endDate (up to today) that is a working
+// day, holiday or not-enrolled day. Working days are decided exactly as in
+// countAttendance, so the rows add up to its totals, less the unmarked rows
+// when the unmarked policy leaves them out.
+function buildExportRows(userData, startDate, endDate) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const records = userData.records || {};
+  const rows = [];
+  
+  for (let dateStr = startDate; dateStr <= endDate && dateStr <= today; dateStr = addDays(dateStr, 1)) {
+    let status;
+    let holidayName = '';
+    
+    if (isCountableDay(dateStr, userData)) {
+      status = records[dateStr] === undefined ? 'unmarked' : recordToStatus(records[dateStr]);
+    } else {
+      const holiday = (userData.holidays || []).find(h => h.date === dateStr);
+      if (holiday) {
+        status = 'holiday';
+        holidayName = holiday.name || '';
+      } else if ((userData.notEnrolled || []).includes(dateStr)) {
+        status = 'not-enrolled';
+      } else {
+        // Weekly day off
+        continue;
+      }
+    }
+    
+    rows.push({
+      date: dateStr,
+      status,
+      holidayName,
+      session: getSessionNamesForDate(userData, dateStr, today).join('; ')
+    });
+  }
+  
+  return rows;
+}
+
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildAttendanceCsv(rows) {
+  const lines = [['date', 'status', 'holiday name', 'session']];
+  rows.forEach(row => lines.push([row.date, row.status, row.holidayName, row.session]));
+  return lines.map(fields => fields.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// The attendance document with its date-keyed data limited to a range
+function filterDocumentToRange(userData, startDate, endDate) {
+  const inRange = date => date >= startDate && date <= endDate;
+  const filterRecords = records => Object.fromEntries(
+    Object.entries(records || {}).filter(([date]) => inRange(date))
+  );
+  
+  const subjectRecords = {};
+  Object.entries(userData.subjectRecords || {}).forEach(([code, records]) => {
+    subjectRecords[code] = filterRecords(records);
+  });
+  
+  return {
+    ...userData,
+    records: filterRecords(userData.records),
+    holidays: (userData.holidays || []).filter(h => inRange(h.date)),
+    notEnrolled: (userData.notEnrolled || []).filter(inRange),
+    subjectRecords,
+    sessions: (userData.sessions || []).filter(s => 
+      s.startDate <= endDate && (!s.endDate || s.endDate >= startDate)
+    )
+  };
+}
+
+// Escape iCalendar TEXT, the reverse of unescapeIcsText
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to 75 characters, continuing on lines that start with a space
+function foldIcsLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push(line.substring(i, i + 74));
+  }
+  return parts.join('\r\n ');
+}
+
+function toIcsDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+// All-day VEVENT lines from startDate to endDate inclusive
+function buildIcsEvent(uid, summary, startDate, endDate, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toIcsDate(startDate)}`,
+    `DTEND;VALUE=DATE:${toIcsDate(addDays(endDate, 1))}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+// Calendar of the sessions and holidays that overlap a date range
+function buildAttendanceIcs(userData, startDate, endDate) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Attendance Skill//Attendance Export//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  
+  (userData.sessions || [])
+    .filter(s => s.startDate && s.startDate <= endDate && (!s.endDate || s.endDate >= startDate))
+    .forEach(session => {
+      lines.push(...buildIcsEvent(
+        `session-${session.code}@attendance-skill`,
+        session.name,
+        session.startDate,
+        session.endDate || today,
+        stamp
+      ));
+    });
+  
+  (userData.holidays || [])
+    .filter(h => h.date >= startDate && h.date <= endDate)
+    .forEach(holiday => {
+      lines.push(...buildIcsEvent(
+        `holiday-${holiday.date}@attendance-skill`,
+        holiday.name || 'Holiday',
+        holiday.date,
+        holiday.date,
+        stamp
+      ));
+    });
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Loads the attendance document and the date range for an export route,
+// or sends a 400/404 and returns null. Only the months in the range are
+// read, except when the range starts at the first recorded day, which
+// takes every month to find. With `openEnded` and no end date asked for,
+// the range has no end, and months are read up to the last day a holiday
+// can be marked or imported.
+async function loadExport(req, res, { openEnded = false } = {}) {
+  const settings = await getUserSettings(req.attendanceKey);
+  const fromFirstDay = !req.query.from && !req.query.session;
+  const userData = fromFirstDay ? await addDayData(req.attendanceKey, settings) : settings;
+  
+  const range = resolveExportRange(userData, req.query);
+  if (range.error) {
+    res.status(range.error === 'Session not found' ? 404 : 400).json({ error: range.error });
+    return null;
+  }
+  
+  const noEnd = openEnded && !req.query.to && !(range.session && range.session.endDate);
+  const endDate = noEnd ? '9999-12-31' : range.endDate;
+  if (fromFirstDay) return { userData, ...range, endDate };
+  
+  const lastDate = noEnd
+    ? addDays(getFormattedDate(new Date(), settings.timeZone), MAX_FUTURE_HOLIDAY_DAYS)
+    : range.endDate;
+  const months = getMonthsInRange(range.startDate, lastDate);
+  return { userData: await addDayData(req.attendanceKey, settings, months), ...range, endDate };
+}
+
+function setDownloadHeaders(res, contentType, filename) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+}
+
+// ============================================================
+// SUBJECT MANAGEMENT
+// ============================================================
+
+// Find a subject by name (case-insensitive) or code
+function findSubject(userData, identifier) {
+  const subjects = userData.subjects || [];
+  return subjects.find(s => 
+    s.code === identifier || 
+    (s.name && s.name.toLowerCase() === String(identifier).toLowerCase())
+  ) || null;
+}
+
+// Add a subject
+async function addSubject(attendanceKey, subjectName) {
+  const subject = {
+    name: subjectName,
+    code: generateSessionCode(subjectName),
+    createdAt: new Date().toISOString()
+  };
+  
+  return updateUserSettings(attendanceKey, userData => {
+    const existing = findSubject(userData, subjectName);
+    if (existing) {
+      return { result: { success: false, error: 'Subject already exists', subject: existing } };
+    }
+    
+    const subjects = userData.subjects || [];
+    return { updates: { subjects: [...subjects, subject] }, result: { success: true, subject } };
+  });
+}
+
+// Get subjects
+async function getSubjects(attendanceKey) {
+  const userData = await getUserSettings(attendanceKey);
+  return userData.subjects || [];
+}
+
+// Spoken list of names: "a", "a and b", "a, b and c"
+function joinNames(names, t = getTranslator()) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')}${t('list.and')}${names[names.length - 1]}`;
+}
+
+// Sentence with the overall rollup across subjects, or '' without subjects
+function describeSubjectRollup(result, t = getTranslator()) {
+  if (!result.subjects || result.subjects.length === 0) return '';
+  return t('subject.rollup', { count: result.subjects.length, percentage: result.overall.percentage });
+}
+
+function subjectNotFound(handlerInput, subjectName) {
+  return handlerInput.responseBuilder
+    .speak(getRequestTranslator(handlerInput)('subject.notFound', { subject: subjectName }))
+    .getResponse();
+}
+
+// ============================================================
+// DAY LOOKUPS
+// ============================================================
+
+// How far back "when was I last absent" looks
+const MAX_LOOKBACK_DAYS = 365;
+
+// Maximum runs of days read out in one response
+const MAX_SPOKEN_RUNS = 5;
+
+// Working days from startDate to endDate, up to today, that have the given
+// status. Only counts days the percentages count, so days off, holidays and
+// not-enrolled days never show up.
+function findStatusDays(userData, startDate, endDate, status, subjectCode = null) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const lastDate = endDate < today ? endDate : today;
+  return getDatesInRange(startDate, lastDate).filter(date =>
+    isCountableDay(date, userData) && getDayStatusFromData(userData, date, subjectCode) === status
+  );
+}
+
+// Group sorted dates into runs of consecutive working days. A run carries
+// on over days that don't count, so a Friday and the Monday after read as
+// one run.
+function groupDateRuns(userData, dates) {
+  const runs = [];
+  dates.forEach(date => {
+    const last = runs[runs.length - 1];
+    const between = last ? getDatesInRange(addDays(last.endDate, 1), addDays(date, -1)) : [];
+    if (last && between.every(d => !isCountableDay(d, userData))) {
+      last.endDate = date;
+    } else {
+      runs.push({ startDate: date, endDate: date });
+    }
+  });
+  return runs;
+}
+
+// Spoken list of runs within one month, e.g. "October 5 to October 7 and
+// October 12", with the runs past MAX_SPOKEN_RUNS summed up at the end
+function describeDateRuns(runs, dates, t = getTranslator()) {
+  const spoken = runs.slice(0, MAX_SPOKEN_RUNS).map(run => run.startDate === run.endDate
+    ? formatMonthDay(run.startDate, t)
+    : t('lookup.run', { startDate: formatMonthDay(run.startDate, t), endDate: formatMonthDay(run.endDate, t) }));
+  
+  if (runs.length > MAX_SPOKEN_RUNS) {
+    const remaining = dates.filter(date => date >= runs[MAX_SPOKEN_RUNS].startDate).length;
+    spoken.push(t('lookup.moreDays', { count: remaining }));
+  }
+  return joinNames(spoken, t);
+}
+
+// Status asked about in a lookup, absent when none was given. Returns
+// { status } or { error } for a status that isn't recorded per day.
+function resolveLookupStatus(handlerInput) {
+  const statusSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'status');
+  if (!statusSlot) return { status: 'absent' };
+  
+  const status = normalizeStatus(statusSlot);
+  if (!status) {
+    return { error: getRequestTranslator(handlerInput)('lookup.unknownStatus', { status: statusSlot }) };
+  }
+  return { status };
+}
+
+// Most unmarked days walked through in one backfill, the most recent ones
+const MAX_BACKFILL_DAYS = 31;
+
+// Working days from startDate to endDate, up to today, with no day-level
+// record: the days countAttendance reports as unmarked
+function findUnmarkedDays(userData, startDate, endDate) {
+  const today = getFormattedDate(new Date(), userData.timeZone);
+  const records = userData.records || {};
+  return getDatesInRange(startDate, endDate < today ? endDate : today)
+    .filter(date => isCountableDay(date, userData) && records[date] === undefined);
+}
+
+// ============================================================
+// MONTH CALENDAR (APL)
+// ============================================================
+
+const CALENDAR_TOKEN = 'monthCalendar';
+
+// Cell color for each kind of day on the month calendar
+const CALENDAR_COLORS = {
+  present: '#2E7D32',
+  absent: '#C62828',
+  partial: '#F9A825',
+  holiday: '#1565C0',
+  'not-enrolled': '#6D4C41',
+  'non-working': '#263238',
+  unmarked: '#455A64'
+};
+
+const CALENDAR_BLANK_CELL = { date: '', day: '', color: 'transparent', touchable: false, isToday: false, label: '' };
+
+// A week per row, Sunday first. Touching a working day sends
+// ['selectDay', date] back to the skill.
+const MONTH_CALENDAR_DOCUMENT = {
+  type: 'APL',
+  version: '1.6',
+  theme: 'dark',
+  mainTemplate: {
+    parameters: ['calendar'],
+    items: [{
+      type: 'Container',
+      width: '100vw',
+      height: '100vh',
+      paddingLeft: 32,
+      paddingRight: 32,
+      paddingTop: 24,
+      paddingBottom: 16,
+      items: [
+        { type: 'Text', text: '${calendar.title}', fontSize: 36, fontWeight: 'bold' },
+        { type: 'Text', text: '${calendar.subtitle}', fontSize: 24, color: '#B0BEC5', paddingBottom: 12 },
+        {
+          type: 'Container',
+          direction: 'row',
+          data: '${calendar.weekdays}',
+          items: [{ type: 'Text', text: '${data}', width: '14.28%', textAlign: 'center', fontSize: 18, color: '#B0BEC5' }]
+        },
+        {
+          type: 'Container',
+          grow: 1,
+          data: '${calendar.weeks}',
+          items: [{
+            type: 'Container',
+            direction: 'row',
+            grow: 1,
+            data: '${data}',
+            items: [{
+              type: 'TouchWrapper',
+              width: '14.28%',
+              padding: 3,
+              disabled: '${!data.touchable}',
+              accessibilityLabel: '${data.label}',
+              onPress: { type: 'SendEvent', arguments: ['selectDay', '${data.date}'] },
+              item: {
+                type: 'Frame',
+                width: '100%',
+                height: '100%',
+                borderRadius: 8,
+                borderWidth: '${data.isToday ? 3 : 0}',
+                borderColor: '#FFFFFF',
+                backgroundColor: '${data.color}',
+                item: {
+                  type: 'Text',
+                  text: '${data.day}',
+                  width: '100%',
+                  height: '100%',
+                  fontSize: 22,
+                  textAlign: 'center',
+                  textAlignVertical: 'center'
+                }
+              }
+            }]
+          }]
+        },
+        {
+          type: 'Container',
+          direction: 'row',
+          wrap: 'wrap',
+          paddingTop: 12,
+          data: '${calendar.legend}',
+          items: [{
+            type: 'Container',
+            direction: 'row',
+            alignItems: 'center',
+            paddingRight: 24,
+            items: [
+              { type: 'Frame', width: 18, height: 18, borderRadius: 4, backgroundColor: '${data.color}' },
+              { type: 'Text', text: '${data.label}', fontSize: 18, paddingLeft: 8 }
+            ]
+          }]
+        }
+      ]
+    }]
+  }
+};
+
+function supportsApl(handlerInput) {
+  const interfaces = Alexa.getSupportedInterfaces(handlerInput.requestEnvelope);
+  return Boolean(interfaces['Alexa.Presentation.APL']);
+}
+
+// How a day is shown on the calendar. Holidays, not-enrolled days and
+// days off don't count toward attendance, so they win over any record.
+function getCalendarDayKind(userData, date) {
+  const status = getDayStatusFromData(userData, date);
+  if (status && status.status === 'holiday') return 'holiday';
+  if (status === 'not-enrolled') return 'not-enrolled';
+  if (isNonWorkingDay(date, userData)) return 'non-working';
+  if (!status) return 'unmarked';
+  return PARTIAL_STATUSES.includes(status) ? 'partial' : status;
+}
+
+function describeCalendarKind(kind, t = getTranslator()) {
+  if (kind === 'partial') return t('calendar.partial');
+  if (kind === 'non-working') return t('calendar.dayOff');
+  return describeStatus(kind, t);
+}
+
+// Data source for MONTH_CALENDAR_DOCUMENT, from the same day data the
+// monthly percentage is counted from, with the session percentage on top
+function buildMonthCalendar(userData, yearMonth, sessionResult, timeZone = null, t = getTranslator()) {
+  const { startDate, endDate } = getMonthBounds(yearMonth);
+  const today = getFormattedDate(new Date(), timeZone);
+  
+  const weeks = [];
+  let week = new Array(getDayOfWeek(startDate)).fill(CALENDAR_BLANK_CELL);
+  getDatesInRange(startDate, endDate).forEach(date => {
+    const kind = getCalendarDayKind(userData, date);
+    const status = kind === 'non-working'
+      ? t('calendar.dayOff')
+      : describeHistoryValue(toHistoryValue(getDayStatusFromData(userData, date)), t);
+    week.push({
+      date,
+      day: String(Number(date.substring(8, 10))),
+      color: CALENDAR_COLORS[kind],
+      touchable: kind !== 'non-working',
+      isToday: date === today,
+      label: `${formatAlexaDate(date, t)}: ${status}`
+    });
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+  });
+  if (week.length > 0) {
+    weeks.push(week.concat(new Array(7 - week.length).fill(CALENDAR_BLANK_CELL)));
+  }
+  
+  const weekdays = Array.from({ length: 7 }, (_, day) => new Date(Date.UTC(2026, 0, 4 + day))
+    .toLocaleDateString(t.locale, { weekday: 'short', timeZone: 'UTC' }));
+  
+  return {
+    title: capitalizeFirst(describeMonth(yearMonth, t), t),
+    subtitle: t('calendar.sessionPercentage', {
+      session: capitalizeFirst(describeSessionName(sessionResult, t), t),
+      percentage: sessionResult.percentage
+    }),
+    weekdays,
+    weeks,
+    legend: Object.keys(CALENDAR_COLORS).map(kind => ({
+      color: CALENDAR_COLORS[kind],
+      label: capitalizeFirst(describeCalendarKind(kind, t), t)
+    }))
+  };
+}
+
+// Show the month as a calendar on devices with a screen; does nothing
+// elsewhere. Pass userData when the month's day data is already loaded.
+async function addMonthCalendar(handlerInput, yearMonth, userData = null) {
+  if (!supportsApl(handlerInput)) return;
+  
+  const attendanceKey = await getUserKey(handlerInput);
+  const monthData = userData || await getRequestUserData(handlerInput, [yearMonth]);
+  const sessionResult = await calculateSessionAttendance(attendanceKey);
+  
+  handlerInput.responseBuilder.addDirective({
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: CALENDAR_TOKEN,
+    document: MONTH_CALENDAR_DOCUMENT,
+    datasources: {
+      calendar: buildMonthCalendar(monthData, yearMonth, sessionResult, getRequestTimeZone(handlerInput), getRequestTranslator(handlerInput))
+    }
+  });
+  
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.calendarMonth = yearMonth;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+// Redraw the calendar after days in the month it shows have changed
+async function refreshMonthCalendar(handlerInput, attendanceKey, dates) {
+  const { calendarMonth } = handlerInput.attributesManager.getSessionAttributes();
+  if (!calendarMonth || !dates.some(date => date.startsWith(calendarMonth))) return;
+  
+  // Read again rather than from the request cache, which predates the change
+  const userData = await getUserData(attendanceKey, [calendarMonth]);
+  await addMonthCalendar(handlerInput, calendarMonth, userData);
+}
+
+// ============================================================
+// INTENT HANDLERS - LAUNCH & ATTENDANCE MARKING
+// ============================================================
+
+// Read back a date range and ask for confirmation before marking it.
+// options.subject marks a subject instead of the whole day.
+async function confirmMarkRange(handlerInput, attendanceKey, newStatus, range, options = {}) {
+  const { holidayName = null, subject = null } = options;
+  const t = getRequestTranslator(handlerInput);
+
+  if (range.error) {
+    return handlerInput.responseBuilder
+      .speak(range.error)
+      .reprompt(t('mark.whichDays'))
+      .getResponse();
+  }
+
+  const { startDate, endDate } = range;
+  const userData = await getRequestUserData(handlerInput, getMonthsInRange(startDate, endDate));
+  const dates = getMarkableDates(userData, startDate, endDate, subject);
+  const spokenRange = t('date.range', { startDate: formatAlexaDate(startDate, t), endDate: formatAlexaDate(endDate, t) });
+
+  if (dates.length === 0) {
+    return handlerInput.responseBuilder
+      .speak(t('mark.noWorkingDays', { range: spokenRange }))
+      .getResponse();
+  }
+
+  const conflicts = dates
+    .map(date => ({ date, status: getDayStatusFromData(userData, date, subject && subject.code) }))
+    .filter(({ status }) => status && (status.status || status) !== newStatus);
+
+  let statusLabel = newStatus === 'holiday' && holidayName ? describeHoliday(holidayName, t) : describeStatus(newStatus, t);
+  if (subject) {
+    statusLabel += describeInSubject(subject.name, t);
+  }
+  let speechText = t('mark.rangeWorkingDays', { range: spokenRange, count: dates.length });
+
+  if (conflicts.length > 0) {
+    const described = conflicts.slice(0, 3)
+      .map(({ date, status }) => t('mark.conflict', { date: formatAlexaDate(date, t), status: describeStatus(status.status || status, t) }))
+      .join(', ');
+    speechText += ` ${described}`;
+    if (conflicts.length > 3) {
+      speechText += t('mark.moreConflicts', { count: conflicts.length - 3 });
+    }
+    speechText += '.';
+  }
+
+  speechText += t('mark.confirmRange', { count: dates.length, status: statusLabel });
+
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.pendingStatusChange = {
+    dates,
+    startDate,
+    endDate,
+    newStatus,
+    holidayName,
+    subject: subject ? subject.code : null,
+    subjectName: subject ? subject.name : null
+  };
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .reprompt(t('mark.confirmRangeReprompt', { range: spokenRange, status: statusLabel }))
+    .getResponse();
+}
+
+const LaunchRequestHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    
+    if (!accessToken) {
+      return requireAccountLinking(handlerInput);
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const speechText = t('launch.welcome');
+      await addMonthCalendar(handlerInput, getYearMonthFromDate(null, getRequestTimeZone(handlerInput)));
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(t('launch.reprompt'))
+        .getResponse();
+    } catch (error) {
+      console.error('Error in LaunchRequest:', error);
+      const speechText = t('launch.welcomeShort');
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(t('common.whatNext'))
+        .getResponse();
+    }
+  }
+};
+
+// Shared flow for the mark intents that record a day in `records`:
+// present, absent, half day, late and on duty. Handles the optional date,
+// range and subject slots and asks before overwriting another status.
+async function markDayStatus(handlerInput, newStatus) {
+  const t = getRequestTranslator(handlerInput);
+  const label = describeStatus(newStatus, t);
+  const accessToken = getAccessToken(handlerInput);
+  if (!accessToken) return requireAccountLinking(handlerInput);
+  
+  try {
+    const attendanceKey = await getUserKey(handlerInput);
+    await ensureUserCredentials(attendanceKey);
+    
+    const timeZone = getRequestTimeZone(handlerInput);
+    const settings = await getRequestUserSettings(handlerInput);
+    
+    const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+    const subject = subjectName ? findSubject(settings, subjectName) : null;
+    if (subjectName && !subject) {
+      return subjectNotFound(handlerInput, subjectName);
+    }
+    const inSubject = subject ? describeInSubject(subject.name, t) : '';
+    
+    const range = resolveMarkRange(handlerInput, newStatus);
+    if (range) {
+      return confirmMarkRange(handlerInput, attendanceKey, newStatus, range, { subject });
+    }
+    
+    const target = resolveMarkDate(handlerInput, newStatus);
+    if (target.error) {
+      return handlerInput.responseBuilder
+        .speak(target.error)
+        .reprompt(t('mark.whichDayAs', { status: label }))
+        .getResponse();
+    }
+    const date = target.date;
+    const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+    
+    const dayError = checkDayRules(userData, date, subject, timeZone, t);
+    if (dayError) {
+      return handlerInput.responseBuilder
+        .speak(dayError)
+        .getResponse();
+    }
+    
+    const existingStatus = getDayStatusFromData(userData, date, subject && subject.code);
+    
+    if (existingStatus) {
+      if (existingStatus.status === newStatus || existingStatus === newStatus) {
+        return handlerInput.responseBuilder
+          .speak(t('mark.alreadyMarked', { day: describeDay(date, true, timeZone, t), status: label, inSubject }))
+          .getResponse();
+      } else {
+        const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+        sessionAttributes.pendingStatusChange = {
+          date,
+          newStatus: newStatus,
+          oldStatus: existingStatus.status || existingStatus,
+          subject: subject ? subject.code : null,
+          subjectName: subject ? subject.name : null
+        };
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        return handlerInput.responseBuilder
+          .speak(t('mark.changeExisting', {
+            day: describeDay(date, true, timeZone, t),
+            oldStatus: describeStatus(existingStatus.status || existingStatus, t),
+            inSubject,
+            status: label
+          }))
+          .reprompt(t('mark.changeExistingReprompt', { day: describeDay(date, false, timeZone, t), inSubject, status: label }))
+          .getResponse();
+      }
+    }
+    
+    const before = newStatus === 'absent' && !subject ? await calculateSessionAttendance(attendanceKey) : null;
+    await setDayStatus(attendanceKey, date, newStatus, { subject: subject && subject.code });
+    await refreshMonthCalendar(handlerInput, attendanceKey, [date]);
+    
+    const warning = before ? await describeTargetWarning(attendanceKey, before, t) : '';
+    
+    return handlerInput.responseBuilder
+      .speak(t('mark.done', { status: label, inSubject, day: describeDay(date, false, timeZone, t), warning }))
+      .getResponse();
+      
+  } catch (error) {
+    console.error(`Error in ${Alexa.getIntentName(handlerInput.requestEnvelope)}:`, error);
+    return handlerInput.responseBuilder
+      .speak(t('mark.error'))
+      .getResponse();
+  }
+}
+
+const MarkPresentIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkPresentIntent';
+  },
+  handle(handlerInput) {
+    return markDayStatus(handlerInput, 'present');
+  }
+};
+
+const MarkAbsentIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkAbsentIntent';
+  },
+  handle(handlerInput) {
+    return markDayStatus(handlerInput, 'absent');
+  }
+};
+
+const MarkHalfDayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkHalfDayIntent';
+  },
+  handle(handlerInput) {
+    return markDayStatus(handlerInput, 'half-day');
+  }
+};
+
+const MarkLateIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkLateIntent';
+  },
+  handle(handlerInput) {
+    return markDayStatus(handlerInput, 'late');
+  }
+};
+
+const MarkOnDutyIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkOnDutyIntent';
+  },
+  handle(handlerInput) {
+    return markDayStatus(handlerInput, 'on-duty');
+  }
+};
+
+const MarkHolidayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkHolidayIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
+    
+    if (!holidayName) {
+      return handlerInput.responseBuilder
+        .speak(t('holiday.nameNeeded'))
+        .reprompt(t('holiday.whatName'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const timeZone = getRequestTimeZone(handlerInput);
+      const range = resolveMarkRange(handlerInput, 'holiday');
+      if (range) {
+        return confirmMarkRange(handlerInput, attendanceKey, 'holiday', range, { holidayName });
+      }
+      
+      const target = resolveMarkDate(handlerInput, 'holiday');
+      if (target.error) {
+        return handlerInput.responseBuilder
+          .speak(target.error)
+          .reprompt(t('holiday.whichDay'))
+          .getResponse();
+      }
+      const date = target.date;
+      const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+      const existingStatus = getDayStatusFromData(userData, date);
+      
+      if (existingStatus) {
+        if (existingStatus.status === 'holiday' || existingStatus === 'holiday') {
+          return handlerInput.responseBuilder
+            .speak(t('holiday.alreadyMarked', {
+              day: describeDay(date, true, timeZone, t),
+              status: existingStatus.name ? describeHoliday(existingStatus.name, t) : describeStatus('holiday', t)
+            }))
+            .getResponse();
+        } else {
+          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+          sessionAttributes.pendingStatusChange = {
+            date,
+            newStatus: 'holiday',
+            oldStatus: existingStatus.status || existingStatus,
+            holidayName: holidayName
+          };
+          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+          
+          return handlerInput.responseBuilder
+            .speak(t('mark.changeExisting', {
+              day: describeDay(date, true, timeZone, t),
+              oldStatus: describeStatus(existingStatus.status || existingStatus, t),
+              status: describeHoliday(holidayName, t)
+            }))
+            .reprompt(t('mark.changeExistingReprompt', { day: describeDay(date, false, timeZone, t), status: describeHoliday(holidayName, t) }))
+            .getResponse();
+        }
+      }
+      
+      await setDayStatus(attendanceKey, date, 'holiday', { holidayName });
+      await refreshMonthCalendar(handlerInput, attendanceKey, [date]);
+      
+      return handlerInput.responseBuilder
+        .speak(target.isToday
+          ? t('holiday.markedToday', { status: describeHoliday(holidayName, t) })
+          : t('holiday.marked', { day: describeDay(date, false, timeZone, t), status: describeHoliday(holidayName, t) }))
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in MarkHolidayIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('holiday.markError'))
+        .getResponse();
+    }
+  }
+};
+
+const MonthlyAttendanceIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MonthlyAttendanceIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const monthSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'month');
+      const subjectSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      
+      // A week, quarter or year asked for as a "month" gets its own answer
+      const period = resolveDatePeriod(monthSlot);
+      if (period && !isWholeMonth(period)) {
+        return await answerPeriodAttendance(handlerInput, period);
+      }
+      const yearMonth = getYearMonthFromDate(monthSlot, getRequestTimeZone(handlerInput));
+      
+      const userData = await getRequestUserData(handlerInput, [yearMonth]);
+      const result = countMonthlyAttendance(userData, yearMonth, subjectSlot);
+      if (!result.success) {
+        return subjectNotFound(handlerInput, subjectSlot);
+      }
+      await addMonthCalendar(handlerInput, yearMonth, userData);
+      
+      const monthName = describeMonth(yearMonth, t);
+      const speechText = result.subjectName
+        ? t('stats.monthlySubject', { subject: result.subjectName, month: monthName, percentage: result.percentage })
+        : t('stats.monthly', { month: monthName, percentage: result.percentage });
+      
+      return handlerInput.responseBuilder
+        .speak(`${speechText}${describeStatusCounts(result, t)}${describeUnmarkedCount(result, userData, t)}${describeSubjectRollup(result, t)}`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in MonthlyAttendanceIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('stats.monthlyError'))
+        .getResponse();
+    }
+  }
+};
+
+// A day touched on the month calendar. Remembers it so the next mark
+// intent without a date applies to it.
+const CalendarDayTouchHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'Alexa.Presentation.APL.UserEvent' &&
+           Array.isArray(request.arguments) && request.arguments[0] === 'selectDay';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const date = handlerInput.requestEnvelope.request.arguments[1];
+      if (!DATE_PATTERN.test(date || '')) {
+        return handlerInput.responseBuilder
+          .speak(t('calendar.dayError'))
+          .getResponse();
+      }
+      
+      const timeZone = getRequestTimeZone(handlerInput);
+      const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      delete sessionAttributes.selectedDate;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      if (isNonWorkingDay(date, userData)) {
+        return handlerInput.responseBuilder
+          .speak(t('mark.nonWorkingDay', { day: describeDay(date, true, timeZone, t) }))
+          .getResponse();
+      }
+      
+      sessionAttributes.selectedDate = date;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      const status = getDayStatusFromData(userData, date);
+      const day = describeDay(date, true, timeZone, t);
+      const speechText = status
+        ? t('calendar.dayMarked', { day, status: describeHistoryValue(toHistoryValue(status), t) })
+        : t('calendar.dayUnmarked', { day });
+      
+      return handlerInput.responseBuilder
+        .speak(`${speechText}${t('calendar.whichStatus')}`)
+        .reprompt(t('calendar.whichStatusReprompt', { day: describeDay(date, false, timeZone, t) }))
+        .getResponse();
+    } catch (error) {
+      console.error('Error in CalendarDayTouch:', error);
+      return handlerInput.responseBuilder
+        .speak(t('calendar.dayError'))
+        .getResponse();
+    }
+  }
+};
+
+const SessionAttendanceIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SessionAttendanceIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const sessionNameSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+      const subjectSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      
+      const result = await calculateSessionAttendance(attendanceKey, sessionNameSlot, subjectSlot);
+      if (!result.success) {
+        return subjectNotFound(handlerInput, subjectSlot);
+      }
+      
+      const params = {
+        subject: result.subjectName,
+        session: describeSessionName(result, t),
+        percentage: result.percentage,
+        presentDays: result.presentDays,
+        count: result.totalWorkingDays
+      };
+      const speechText = result.subjectName ? t('stats.sessionSubject', params) : t('stats.session', params);
+      const settings = await getRequestUserSettings(handlerInput);
+      
+      return handlerInput.responseBuilder
+        .speak(`${speechText}${describeStatusCounts(result, t)}${describeUnmarkedCount(result, settings, t)}${describeSubjectRollup(result, t)}`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in SessionAttendanceIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('stats.sessionError'))
+        .getResponse();
+    }
+  }
+};
+
+const GetAttendancePercentageIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAttendancePercentageIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await calculateSessionAttendance(attendanceKey);
+      const settings = await getRequestUserSettings(handlerInput);
+      
+      return handlerInput.responseBuilder
+        .speak(`${t('stats.percentage', {
+          session: describeSessionName(result, t),
+          percentage: result.percentage,
+          presentDays: result.presentDays,
+          count: result.totalWorkingDays
+        })}${describeStatusCounts(result, t)}${describeUnmarkedCount(result, settings, t)}${describeSubjectRollup(result, t)}`)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in GetAttendancePercentageIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('stats.percentageError'))
+        .getResponse();
+    }
+  }
+};
+
+// Whether a period is exactly one calendar month
+function isWholeMonth(period) {
+  const { startDate, endDate } = getMonthBounds(period.startDate.substring(0, 7));
+  return period.startDate === startDate && period.endDate === endDate;
+}
+
+// "in October 2026", "on October 14, 2026" or "from ... to ..." for a period
+function describePeriod(period, timeZone = null, t = getTranslator()) {
+  if (period.startDate === period.endDate) {
+    const day = describeDay(period.startDate, false, timeZone, t);
+    return day === t('day.today') ? day : t('period.on', { day });
+  }
+  if (isWholeMonth(period)) {
+    return t('period.in', { month: describeMonth(period.startDate.substring(0, 7), t) });
+  }
+  return t('period.range', { startDate: formatAlexaDate(period.startDate, t), endDate: formatAlexaDate(period.endDate, t) });
+}
+
+// Present days, working days and percentage for any period, with the
+// optional subject slot
+async function answerPeriodAttendance(handlerInput, period) {
+  const t = getRequestTranslator(handlerInput);
+  const subjectSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+  const userData = await getRequestUserData(handlerInput, getMonthsInRange(period.startDate, period.endDate));
+  
+  const result = countAttendanceWithSubjects(userData, period.startDate, period.endDate, subjectSlot);
+  if (!result.success) {
+    return subjectNotFound(handlerInput, subjectSlot);
+  }
+  
+  const when = capitalizeFirst(describePeriod(period, getRequestTimeZone(handlerInput), t), t);
+  if (result.totalWorkingDays === 0) {
+    return handlerInput.responseBuilder
+      .speak(`${t('period.noWorkingDays', { period: when })}${describeUnmarkedCount(result, userData, t)}`)
+      .getResponse();
+  }
+  
+  const params = {
+    period: when,
+    subject: result.subjectName,
+    percentage: result.percentage,
+    presentDays: result.presentDays,
+    count: result.totalWorkingDays
+  };
+  const speechText = result.subjectName ? t('period.statsSubject', params) : t('period.stats', params);
+  
+  return handlerInput.responseBuilder
+    .speak(`${speechText}${describeStatusCounts(result, t)}${describeUnmarkedCount(result, userData, t)}${describeSubjectRollup(result, t)}`)
+    .getResponse();
+}
+
+const PeriodAttendanceIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'PeriodAttendanceIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const period = resolvePeriodSlots(handlerInput);
+    if (!period || period.error) {
+      return handlerInput.responseBuilder
+        .speak(period ? period.error : t('period.whichPeriod'))
+        .reprompt(t('period.whichPeriod'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      return await answerPeriodAttendance(handlerInput, period);
+    } catch (error) {
+      console.error('Error in PeriodAttendanceIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('period.error'))
+        .getResponse();
+    }
+  }
+};
+
+// ============================================================
+// INTENT HANDLERS - DAY LOOKUPS
+// ============================================================
+
+const DayStatusIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DayStatusIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const date = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+    if (!date) {
+      return handlerInput.responseBuilder
+        .speak(t('lookup.whichDay'))
+        .reprompt(t('lookup.whichDay'))
+        .getResponse();
+    }
+    if (!DATE_PATTERN.test(date)) {
+      return handlerInput.responseBuilder
+        .speak(t('mark.singleDayNeeded'))
+        .reprompt(t('lookup.whichDay'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const timeZone = getRequestTimeZone(handlerInput);
+      const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+      
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      const subject = subjectName ? findSubject(userData, subjectName) : null;
+      if (subjectName && !subject) {
+        return subjectNotFound(handlerInput, subjectName);
+      }
+      
+      // A holiday or not-enrolled day is answered for the whole day, since
+      // no subject has a class on it
+      const dayStatus = getDayStatusFromData(userData, date);
+      const useSubject = subject && (!dayStatus || RECORD_STATUSES.includes(dayStatus));
+      const status = useSubject ? getDayStatusFromData(userData, date, subject.code) : dayStatus;
+      const inSubject = useSubject ? describeInSubject(subject.name, t) : '';
+      const day = describeDay(date, true, timeZone, t);
+      
+      let speechText;
+      if (status) {
+        speechText = t('lookup.dayStatus', { day, inSubject, status: describeHistoryValue(toHistoryValue(status), t) });
+      } else if (isNonWorkingDay(date, userData)) {
+        speechText = t('lookup.dayOff', { day });
+      } else {
+        speechText = t('lookup.dayUnmarked', { day, inSubject });
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in DayStatusIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('lookup.error'))
+        .getResponse();
+    }
+  }
+};
+
+const LastStatusIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'LastStatusIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const lookup = resolveLookupStatus(handlerInput);
+    if (lookup.error) {
+      return handlerInput.responseBuilder
+        .speak(lookup.error)
+        .reprompt(t('lookup.whichStatus'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const timeZone = getRequestTimeZone(handlerInput);
+      const today = getFormattedDate(new Date(), timeZone);
+      const searchStart = addDays(today, -MAX_LOOKBACK_DAYS);
+      const userData = await getRequestUserData(handlerInput, getMonthsInRange(searchStart, today));
+      
+      const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      const subject = subjectName ? findSubject(userData, subjectName) : null;
+      if (subjectName && !subject) {
+        return subjectNotFound(handlerInput, subjectName);
+      }
+      
+      const inSubject = subject ? describeInSubject(subject.name, t) : '';
+      const status = describeStatus(lookup.status, t);
+      const dates = findStatusDays(userData, searchStart, today, lookup.status, subject && subject.code);
+      
+      if (dates.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('lookup.lastNone', { status, inSubject }))
+          .getResponse();
+      }
+      
+      const last = dates[dates.length - 1];
+      const speechText = last === today
+        ? t('lookup.lastToday', { status, inSubject })
+        : t('lookup.lastOn', { status, inSubject, day: describeDay(last, false, timeZone, t) });
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in LastStatusIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('lookup.error'))
+        .getResponse();
+    }
+  }
+};
+
+// Shared flow for "how many days was I absent in September" and "which
+// days did I miss this month": an optional status (absent by default),
+// month and subject
+async function lookupMonthStatus(handlerInput, listDays) {
+  const t = getRequestTranslator(handlerInput);
+  const accessToken = getAccessToken(handlerInput);
+  if (!accessToken) return requireAccountLinking(handlerInput);
+  
+  const lookup = resolveLookupStatus(handlerInput);
+  if (lookup.error) {
+    return handlerInput.responseBuilder
+      .speak(lookup.error)
+      .reprompt(t('lookup.whichStatus'))
+      .getResponse();
+  }
+  
+  try {
+    const attendanceKey = await getUserKey(handlerInput);
+    await ensureUserCredentials(attendanceKey);
+    
+    const monthSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'month');
+    const yearMonth = getYearMonthFromDate(monthSlot, getRequestTimeZone(handlerInput));
+    const userData = await getRequestUserData(handlerInput, [yearMonth]);
+    
+    const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+    const subject = subjectName ? findSubject(userData, subjectName) : null;
+    if (subjectName && !subject) {
+      return subjectNotFound(handlerInput, subjectName);
+    }
+    
+    const { startDate, endDate } = getMonthBounds(yearMonth);
+    const dates = findStatusDays(userData, startDate, endDate, lookup.status, subject && subject.code);
+    const params = {
+      status: describeStatus(lookup.status, t),
+      inSubject: subject ? describeInSubject(subject.name, t) : '',
+      month: describeMonth(yearMonth, t),
+      count: dates.length
+    };
+    
+    let speechText;
+    if (dates.length === 0) {
+      speechText = t('lookup.countNone', params);
+    } else if (listDays) {
+      speechText = t('lookup.days', { ...params, days: describeDateRuns(groupDateRuns(userData, dates), dates, t) });
+    } else {
+      speechText = t('lookup.count', params);
+    }
+    
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+      
+  } catch (error) {
+    console.error(`Error in ${Alexa.getIntentName(handlerInput.requestEnvelope)}:`, error);
+    return handlerInput.responseBuilder
+      .speak(t('lookup.error'))
+      .getResponse();
+  }
+}
+
+const StatusCountIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'StatusCountIntent';
+  },
+  handle(handlerInput) {
+    return lookupMonthStatus(handlerInput, false);
+  }
+};
+
+const StatusDaysIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'StatusDaysIntent';
+  },
+  handle(handlerInput) {
+    return lookupMonthStatus(handlerInput, true);
+  }
+};
+
+// ============================================================
+// INTENT HANDLERS - UNMARKED DAYS
+// ============================================================
+
+// Intents that answer a backfill question, and the status each one marks;
+// AMAZON.NextIntent ("skip") leaves the day as it is
+const BACKFILL_INTENTS = {
+  MarkPresentIntent: 'present',
+  MarkAbsentIntent: 'absent',
+  MarkHalfDayIntent: 'half-day',
+  MarkLateIntent: 'late',
+  MarkOnDutyIntent: 'on-duty',
+  MarkHolidayIntent: 'holiday',
+  'AMAZON.NextIntent': null
+};
+
+// Whether a request answers the backfill question: a mark without a date,
+// range or subject, or "next" to skip the day
+function isBackfillAnswer(requestEnvelope) {
+  return Alexa.getRequestType(requestEnvelope) === 'IntentRequest' &&
+         Alexa.getIntentName(requestEnvelope) in BACKFILL_INTENTS &&
+         ['date', 'startDate', 'endDate', 'subject'].every(slot => !Alexa.getSlotValue(requestEnvelope, slot));
+}
+
+// A backfill only lasts while the user keeps answering it, and an offer to
+// start one only until the next answer. Anything else ends them, so a later
+// "mark present" is for today again rather than for a backfill day.
+// AMAZON.NoIntent cleans up after itself.
+const BackfillRequestInterceptor = {
+  process(handlerInput) {
+    const { requestEnvelope } = handlerInput;
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    if (!sessionAttributes.backfill && !sessionAttributes.pendingBackfill) return;
+    
+    const intentName = Alexa.getRequestType(requestEnvelope) === 'IntentRequest' ? Alexa.getIntentName(requestEnvelope) : null;
+    if (intentName === 'AMAZON.NoIntent') return;
+    
+    if (sessionAttributes.backfill && !isBackfillAnswer(requestEnvelope)) {
+      delete sessionAttributes.backfill;
+    }
+    if (sessionAttributes.pendingBackfill && intentName !== 'AMAZON.YesIntent') {
+      delete sessionAttributes.pendingBackfill;
+    }
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  }
+};
+
+// Ask about the next day of a backfill, or wrap up after the last one.
+// `backfill` is { dates, index, marked } and lives in the session.
+function askBackfillDay(handlerInput, backfill, prefix = '') {
+  const t = getRequestTranslator(handlerInput);
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  
+  if (backfill.index >= backfill.dates.length) {
+    delete sessionAttributes.backfill;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    return handlerInput.responseBuilder
+      .speak([prefix, t('backfill.done', { count: backfill.marked })].filter(Boolean).join(' '))
+      .getResponse();
+  }
+  
+  sessionAttributes.backfill = backfill;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  const date = backfill.dates[backfill.index];
+  const question = t('backfill.ask', { day: describeDay(date, true, getRequestTimeZone(handlerInput), t) });
+  return handlerInput.responseBuilder
+    .speak([prefix, question].filter(Boolean).join(' '))
+    .reprompt(question)
+    .getResponse();
+}
+
+const UnmarkedDaysIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'UnmarkedDaysIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const today = getFormattedDate(new Date(), getRequestTimeZone(handlerInput));
+      const result = await calculateSessionAttendance(attendanceKey);
+      const lastDate = result.endDate < today ? result.endDate : today;
+      const userData = await getRequestUserData(handlerInput, getMonthsInRange(result.startDate, lastDate));
+      const dates = findUnmarkedDays(userData, result.startDate, lastDate);
+      const session = describeSessionName(result, t);
+      
+      if (dates.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('unmarked.none', { session }))
+          .getResponse();
+      }
+      
+      const backfillDates = dates.slice(-MAX_BACKFILL_DAYS);
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.pendingBackfill = backfillDates;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      const question = backfillDates.length < dates.length
+        ? t('unmarked.offerRecent', { count: backfillDates.length })
+        : t('unmarked.offer', { count: dates.length });
+      const days = describeDateRuns(groupDateRuns(userData, dates), dates, t);
+      
+      return handlerInput.responseBuilder
+        .speak(`${t('unmarked.list', { count: dates.length, session, days })} ${question}`)
+        .reprompt(question)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in UnmarkedDaysIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('unmarked.error'))
+        .getResponse();
+    }
+  }
+};
+
+// An answer while walking through unmarked days: a mark intent without a
+// day or subject of its own, or "skip"
+const BackfillAnswerHandler = {
+  canHandle(handlerInput) {
+    const { requestEnvelope } = handlerInput;
+    if (!handlerInput.attributesManager.getSessionAttributes().backfill) return false;
+    
+    return isBackfillAnswer(requestEnvelope);
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const { backfill } = handlerInput.attributesManager.getSessionAttributes();
+    const status = BACKFILL_INTENTS[Alexa.getIntentName(handlerInput.requestEnvelope)];
+    if (!status) {
+      return askBackfillDay(handlerInput, { ...backfill, index: backfill.index + 1 }, t('backfill.skipped'));
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const date = backfill.dates[backfill.index];
+      const holidayName = status === 'holiday' ? Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName') : null;
+      await setDayStatus(attendanceKey, date, status, { holidayName });
+      await refreshMonthCalendar(handlerInput, attendanceKey, [date]);
+      
+      const label = holidayName ? describeHoliday(holidayName, t) : describeStatus(status, t);
+      return askBackfillDay(
+        handlerInput,
+        { ...backfill, index: backfill.index + 1, marked: backfill.marked + 1 },
+        t('backfill.marked', { day: describeDay(date, true, getRequestTimeZone(handlerInput), t), status: label })
+      );
+    } catch (error) {
+      console.error('Error in backfill:', error);
+      return handlerInput.responseBuilder
+        .speak(t('backfill.error'))
+        .reprompt(t('backfill.ask', { day: describeDay(backfill.dates[backfill.index], true, getRequestTimeZone(handlerInput), t) }))
+        .getResponse();
+    }
+  }
+};
+
+// ============================================================
+// INTENT HANDLERS - ATTENDANCE TARGETS
+// ============================================================
+
+// Target from the "percent" slot, falling back to the session's target
+function getTargetFromSlot(handlerInput, result) {
+  const percentSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'percent');
+  const percent = Number(percentSlot);
+  if (percentSlot !== undefined && !isNaN(percent) && percent > 0 && percent <= 100) {
+    return percent;
+  }
+  return result.targetPercentage;
+}
+
+function noTargetSet(handlerInput) {
+  const t = getRequestTranslator(handlerInput);
+  return handlerInput.responseBuilder
+    .speak(t('target.notSet'))
+    .reprompt(t('target.whatPercentage'))
+    .getResponse();
+}
+
+const SetAttendanceTargetIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAttendanceTargetIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const percentSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'percent');
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    const percent = Number(percentSlot);
+    
+    if (percentSlot === undefined || isNaN(percent) || percent <= 0 || percent > 100) {
+      return handlerInput.responseBuilder
+        .speak(t('target.outOfRange'))
+        .reprompt(t('target.whatPercentage'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await setSessionTarget(attendanceKey, percent, sessionName);
+      
+      if (!result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('target.sessionNotFound', { session: sessionName }))
+          .reprompt(t('target.whichSession'))
+          .getResponse();
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(result.session
+          ? t('target.setForSession', { session: result.session.name, percent })
+          : t('target.set', { percent }))
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in SetAttendanceTargetIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('target.setError'))
+        .getResponse();
+    }
+  }
+};
+
+const AbsencesAllowedIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AbsencesAllowedIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await calculateSessionAttendance(attendanceKey);
+      const target = getTargetFromSlot(handlerInput, result);
+      if (!target) return noTargetSet(handlerInput);
+      
+      const { absencesAllowed } = projectAttendance(result, target);
+      const remaining = t('target.remainingDays', {
+        count: result.remainingWorkingDays,
+        session: describeSessionName(result, t)
+      });
+      
+      let speechText;
+      if (absencesAllowed === null) {
+        speechText = t('target.absencesUnreachable', { remaining, target, percentage: result.percentage });
+      } else if (absencesAllowed === 0) {
+        speechText = t('target.absencesNone', { remaining, target });
+      } else {
+        speechText = t('target.absencesAllowed', { count: absencesAllowed, remaining, target });
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in AbsencesAllowedIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('target.projectionError'))
+        .getResponse();
+    }
+  }
+};
+
+const PresentsNeededIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'PresentsNeededIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await calculateSessionAttendance(attendanceKey);
+      const target = getTargetFromSlot(handlerInput, result);
+      if (!target) return noTargetSet(handlerInput);
+      
+      const { presentsNeeded, noWorkingDays } = projectAttendance(result, target);
+      
+      const session = describeSessionName(result, t);
+      
+      let speechText;
+      if (noWorkingDays) {
+        speechText = t('target.noWorkingDaysYet', { target, session });
+      } else if (presentsNeeded === 0) {
+        speechText = t('target.alreadyAbove', { target, percentage: result.percentage, session });
+      } else if (presentsNeeded === null) {
+        speechText = t('target.presentsUnreachable', {
+          percentage: result.percentage,
+          remaining: t('target.remainingDays', { count: result.remainingWorkingDays, session }),
+          target
+        });
+      } else {
+        speechText = t('target.presentsNeeded', { percentage: result.percentage, count: presentsNeeded, target });
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in PresentsNeededIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('target.projectionError'))
+        .getResponse();
+    }
+  }
+};
+
+// ============================================================
+// INTENT HANDLERS - SESSION MANAGEMENT
+// ============================================================
+
+const SetAlexaPresetIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAlexaPresetIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    
+    if (!sessionName) {
+      try {
+        const attendanceKey = await getUserKey(handlerInput);
+        await ensureUserCredentials(attendanceKey);
+        
+        const sessions = await getAvailableSessions(attendanceKey);
+        const presetSession = await getAlexaPresetSession(attendanceKey);
+        
+        if (sessions.length === 0) {
+          return handlerInput.responseBuilder
+            .speak(t('session.noneYet'))
+            .getResponse();
+        }
+        
+        const names = sessions.slice(0, 5)
+          .map(session => `${session.name}${session.isSelected ? t('session.presetTag') : ''}`)
+          .join(', ');
+        let speechText = t('session.available', { names });
+        
+        if (presetSession) {
+          speechText += t('session.currentPreset', { session: presetSession.name });
+        }
+        
+        speechText += t('session.whichPreset');
+        
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .reprompt(t('session.whichPresetReprompt'))
+          .getResponse();
+          
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        return handlerInput.responseBuilder
+          .speak(t('session.fetchError'))
+          .getResponse();
+      }
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await setAlexaPresetSession(attendanceKey, sessionName);
+      
+      if (result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('session.presetSet', { session: result.session.name }))
+          .getResponse();
+      } else if (result.error === 'Session is archived') {
+        return handlerInput.responseBuilder
+          .speak(t('session.presetArchived', { session: sessionName }))
+          .reprompt(t('session.whichPresetShort'))
+          .getResponse();
+      } else {
+        return handlerInput.responseBuilder
+          .speak(t('session.presetNotFound', { session: sessionName }))
+          .reprompt(t('session.whichPresetShort'))
+          .getResponse();
+      }
+        
+    } catch (error) {
+      console.error('Error in SetAlexaPresetIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.presetSetError'))
+        .getResponse();
+    }
+  }
+};
+
+const GetAlexaPresetIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAlexaPresetIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const presetSession = await getAlexaPresetSession(attendanceKey);
+      
+      if (presetSession) {
+        return handlerInput.responseBuilder
+          .speak(t('session.presetIs', {
+            session: presetSession.name,
+            startDate: formatAlexaDate(presetSession.startDate, t),
+            endDate: formatAlexaDate(presetSession.endDate, t)
+          }))
+          .getResponse();
+      } else {
+        return handlerInput.responseBuilder
+          .speak(t('session.noPreset'))
+          .getResponse();
+      }
+        
+    } catch (error) {
+      console.error('Error in GetAlexaPresetIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.presetFetchError'))
+        .getResponse();
+    }
+  }
+};
+
+const ClearAlexaPresetIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ClearAlexaPresetIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const result = await clearAlexaPresetSession(attendanceKey);
+      
+      if (result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('session.presetCleared'))
+          .getResponse();
+      } else {
+        return handlerInput.responseBuilder
+          .speak(t('session.noPresetToClear'))
+          .getResponse();
+      }
+        
+    } catch (error) {
+      console.error('Error in ClearAlexaPresetIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.presetClearError'))
+        .getResponse();
+    }
+  }
+};
+
+const SelectSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SelectSessionIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    
+    if (!sessionName) {
+      try {
+        const attendanceKey = await getUserKey(handlerInput);
+        await ensureUserCredentials(attendanceKey);
+        
+        const sessions = await getAvailableSessions(attendanceKey);
+        
+        if (sessions.length === 0) {
+          return handlerInput.responseBuilder
+            .speak(t('session.noneYet'))
+            .getResponse();
+        }
+        
+        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
+        if (sessions.length > 5) {
+          sessionList += t('session.andMore');
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(t('session.whichToUse', { names: sessionList }))
+          .reprompt(t('session.whichToUseReprompt'))
+          .getResponse();
+          
+      } catch (error) {
+        console.error('Error listing sessions:', error);
+        return handlerInput.responseBuilder
+          .speak(t('session.fetchError'))
+          .getResponse();
+      }
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const sessions = await getAvailableSessions(attendanceKey);
+      
+      const exactCodeMatch = sessions.find(s => s.code === sessionName);
+      if (exactCodeMatch) {
+        await setAlexaPresetSession(attendanceKey, exactCodeMatch.code);
+        return handlerInput.responseBuilder
+          .speak(t('session.selected', { session: exactCodeMatch.name }))
+          .getResponse();
+      }
+      
+      const nameMatches = sessions.filter(s => 
+        s.name.toLowerCase() === sessionName.toLowerCase()
+      );
+      
+      if (nameMatches.length === 1) {
+        await setAlexaPresetSession(attendanceKey, nameMatches[0].code);
+        return handlerInput.responseBuilder
+          .speak(t('session.selected', { session: nameMatches[0].name }))
+          .getResponse();
+      } else if (nameMatches.length > 1) {
+        const sessionCodes = nameMatches.map(s => s.code).join(', ');
+        const dateRanges = joinNames(nameMatches.map(s =>
+          t('date.range', { startDate: formatAlexaDate(s.startDate, t), endDate: formatAlexaDate(s.endDate, t) })
+        ), t);
+        
+        return handlerInput.responseBuilder
+          .speak(t('session.ambiguous', { count: nameMatches.length, session: sessionName, dateRanges, codes: sessionCodes }))
+          .reprompt(t('session.whichCode'))
+          .getResponse();
+      } else {
+        if (sessions.length === 0) {
+          return handlerInput.responseBuilder
+            .speak(`${t('session.notFound', { session: sessionName })} ${t('session.noneYet')}`)
+            .getResponse();
+        }
+        
+        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
+        if (sessions.length > 5) {
+          sessionList += t('session.andMore');
+        }
+        
+        return handlerInput.responseBuilder
+          .speak(`${t('session.notFound', { session: sessionName })} ${t('session.whichToUse', { names: sessionList })}`)
+          .reprompt(t('session.whichToUseReprompt'))
+          .getResponse();
+      }
+        
+    } catch (error) {
+      console.error('Error in SelectSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.selectError'))
+        .getResponse();
+    }
+  }
+};
+
+const ListSessionsIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListSessionsIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const sessions = await getAvailableSessions(attendanceKey);
+      const presetSession = await getAlexaPresetSession(attendanceKey);
+      
+      if (sessions.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('session.noneYetList'))
+          .getResponse();
+      }
+      
+      let names = sessions.slice(0, 5)
+        .map(session => `${session.name}${session.isSelected ? t('session.presetTag') : ''}`)
+        .join(', ');
+      if (sessions.length > 5) {
+        names += t('session.andCountMore', { count: sessions.length - 5 });
+      }
+      
+      let speechText = t('session.list', { count: sessions.length, names });
+      
+      if (presetSession) {
+        speechText += t('session.presetIsShort', { session: presetSession.name });
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in ListSessionsIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.listError'))
+        .getResponse();
+    }
+  }
+};
+
+// The session named in the "sessionName" slot, or the Alexa preset when
+// none is named. Returns { session, sessions } or { response } to send back.
+async function resolveSessionToChange(handlerInput, attendanceKey, action) {
+  const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+  const sessions = await getAvailableSessions(attendanceKey, true);
+  const session = sessionName ? findSession(sessions, sessionName) : sessions.find(s => s.isSelected);
   
-  const updatedSessions = sessions.map(session => ({
-    ...session,
-    isSelected: false
-  }));
+  if (session) return { session, sessions };
   
-  await updateUserData(attendanceKey, { sessions: updatedSessions });
-  return { success: true };
+  const t = getRequestTranslator(handlerInput);
+  const question = t(`session.whichTo.${action}`);
+  const speechText = sessionName ? `${t('session.notFound', { session: sessionName })} ${question}` : question;
+  return {
+    response: handlerInput.responseBuilder
+      .speak(speechText)
+      .reprompt(question)
+      .getResponse()
+  };
 }
 
-// Save session
-async function saveSession(attendanceKey, sessionName, startDate, endDate, setAsPreset = false) {
-  const userData = await getUserData(attendanceKey);
-  const sessions = userData.sessions || [];
+// Ask for confirmation of a session change; AMAZON.YesIntent applies it
+function confirmSessionChange(handlerInput, pendingSessionChange, question) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.pendingSessionChange = pendingSessionChange;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
   
-  const sessionCode = generateSessionCode(sessionName);
+  return handlerInput.responseBuilder
+    .speak(question)
+    .reprompt(question)
+    .getResponse();
+}
+
+// Spoken note on the preset after the preset session was archived or deleted
+function describePresetAfterRemoval(result, t = getTranslator()) {
+  const wasPreset = (result.previous || result.session).isSelected;
+  if (!wasPreset) return '';
+  return result.preset
+    ? t('session.presetMoved', { session: result.preset.name })
+    : t('session.presetRemoved');
+}
+
+const RenameSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RenameSessionIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const newName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'newName');
+    if (!newName) {
+      return handlerInput.responseBuilder
+        .speak(t('session.newNameNeeded'))
+        .reprompt(t('session.whatNewName'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      const { session, sessions, response } = await resolveSessionToChange(handlerInput, attendanceKey, 'rename');
+      if (response) return response;
+      
+      if (isSessionNameTaken(sessions, newName, session.code)) {
+        return handlerInput.responseBuilder
+          .speak(t('session.nameTaken', { newName }))
+          .reprompt(t('session.whatNewName'))
+          .getResponse();
+      }
+      
+      return confirmSessionChange(handlerInput,
+        { action: 'rename', code: session.code, name: session.name, changes: { name: newName } },
+        t('session.confirmRename', { session: session.name, newName }));
+        
+    } catch (error) {
+      console.error('Error in RenameSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.renameError'))
+        .getResponse();
+    }
+  }
+};
+
+const ChangeSessionDatesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ChangeSessionDatesIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    // Spoken dates resolve the same way as when creating a session
+    const startValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate');
+    const endValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'endDate');
+    const startDate = startValue ? resolveSessionDate(startValue, 'start') : null;
+    const endDate = endValue ? resolveSessionDate(endValue, 'end') : null;
+    
+    if ((!startValue && !endValue) || (startValue && !startDate) || (endValue && !endDate)) {
+      return handlerInput.responseBuilder
+        .speak(t('session.newDateNeeded'))
+        .reprompt(t('session.whatNewDate'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      const { session, sessions, response } = await resolveSessionToChange(handlerInput, attendanceKey, 'change');
+      if (response) return response;
+      
+      const newStart = startDate || session.startDate;
+      const newEnd = endDate || session.endDate;
+      if (newEnd && newStart > newEnd) {
+        return handlerInput.responseBuilder
+          .speak(t('session.datesReversed', {
+            session: session.name,
+            startDate: formatAlexaDate(newStart, t),
+            endDate: formatAlexaDate(newEnd, t)
+          }))
+          .reprompt(t('session.whatNewDate'))
+          .getResponse();
+      }
+      
+      const changes = {};
+      if (startDate) changes.startDate = startDate;
+      if (endDate) changes.endDate = endDate;
+      
+      const dates = {
+        session: session.name,
+        startDate: formatAlexaDate(newStart, t),
+        endDate: newEnd ? formatAlexaDate(newEnd, t) : t('day.today')
+      };
+      // Sessions without an end date run until today
+      const overlapping = session.archived
+        ? []
+        : findOverlappingSessions(sessions, newStart, newEnd || getFormattedDate(new Date(), getRequestTimeZone(handlerInput)), session.name);
+      
+      return confirmSessionChange(handlerInput,
+        { action: 'dates', code: session.code, name: session.name, changes },
+        overlapping.length > 0
+          ? t('session.confirmDatesOverlap', { ...dates, sessions: describeOverlappingSessions(overlapping, t) })
+          : t('session.confirmDates', dates));
+        
+    } catch (error) {
+      console.error('Error in ChangeSessionDatesIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.changeError'))
+        .getResponse();
+    }
+  }
+};
+
+const ArchiveSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ArchiveSessionIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      const { session, response } = await resolveSessionToChange(handlerInput, attendanceKey, 'archive');
+      if (response) return response;
+      
+      if (session.archived) {
+        return handlerInput.responseBuilder
+          .speak(t('session.alreadyArchived', { session: session.name }))
+          .getResponse();
+      }
+      
+      return confirmSessionChange(handlerInput,
+        { action: 'archive', code: session.code, name: session.name },
+        t('session.confirmArchive', { session: session.name }));
+        
+    } catch (error) {
+      console.error('Error in ArchiveSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.archiveError'))
+        .getResponse();
+    }
+  }
+};
+
+const DeleteSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DeleteSessionIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      const { session, response } = await resolveSessionToChange(handlerInput, attendanceKey, 'delete');
+      if (response) return response;
+      
+      return confirmSessionChange(handlerInput,
+        { action: 'delete', code: session.code, name: session.name },
+        session.endDate
+          ? t('session.confirmDeleteRange', {
+            session: session.name,
+            startDate: formatAlexaDate(session.startDate, t),
+            endDate: formatAlexaDate(session.endDate, t)
+          })
+          : t('session.confirmDelete', { session: session.name, startDate: formatAlexaDate(session.startDate, t) }));
+        
+    } catch (error) {
+      console.error('Error in DeleteSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('session.deleteError'))
+        .getResponse();
+    }
+  }
+};
+
+// Apply a confirmed pendingSessionChange
+async function applyPendingSessionChange(handlerInput, attendanceKey, pendingSessionChange) {
+  const { action, code, name, changes } = pendingSessionChange;
+  const t = getRequestTranslator(handlerInput);
   
-  const sessionData = {
-    name: sessionName,
-    code: sessionCode,
-    startDate,
-    endDate,
-    createdAt: new Date().toISOString(),
-    isSelected: setAsPreset
-  };
+  let result;
+  if (action === 'delete') {
+    result = await deleteSession(attendanceKey, code);
+  } else if (action === 'archive') {
+    result = await archiveSession(attendanceKey, code);
+  } else {
+    result = await updateSession(attendanceKey, code, changes);
+  }
   
-  const existingIndex = sessions.findIndex(s => 
-    s.name.toLowerCase() === sessionName.toLowerCase() || 
-    s.code === sessionCode
-  );
+  if (!result.success) {
+    return handlerInput.responseBuilder
+      .speak(result.error === SESSION_NAME_TAKEN
+        ? t('session.nameTaken', { newName: changes.name })
+        : t('session.changeConflict', { session: name }))
+      .getResponse();
+  }
   
-  let updatedSessions;
-  if (existingIndex !== -1) {
-    updatedSessions = [...sessions];
-    updatedSessions[existingIndex] = sessionData;
+  let speechText;
+  if (action === 'delete') {
+    speechText = t('session.deleted', { session: name });
+  } else if (action === 'archive') {
+    speechText = t('session.archived', { session: name });
+  } else if (action === 'rename') {
+    speechText = t('session.renamed', { session: name, newName: result.session.name });
   } else {
-    updatedSessions = [...sessions, sessionData];
+    speechText = t('session.datesChanged', {
+      session: result.session.name,
+      startDate: formatAlexaDate(result.session.startDate, t),
+      endDate: result.session.endDate ? formatAlexaDate(result.session.endDate, t) : t('day.today')
+    });
   }
   
-  if (setAsPreset) {
-    updatedSessions = updatedSessions.map(session => ({
-      ...session,
-      isSelected: session.code === sessionCode
-    }));
+  if (action === 'delete' || action === 'archive') {
+    speechText += describePresetAfterRemoval(result, t);
+  }
+  
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .getResponse();
+}
+
+// ============================================================
+// INTENT HANDLERS - SESSION CREATION
+// ============================================================
+
+const CreateSessionIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
+    const shouldSetAsPreset = setAsPreset && (setAsPreset.toLowerCase() === 'yes' || setAsPreset.toLowerCase() === 'true');
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.inSessionCreation = true;
+      sessionAttributes.sessionCreationStep = 'name';
+      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      let speechText = t('create.start');
+      if (shouldSetAsPreset) {
+        speechText += t('create.willBePreset');
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .reprompt(t('create.whatName'))
+        .getResponse();
+    } catch (error) {
+      console.error('Error in CreateSessionIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('create.startError'))
+        .getResponse();
+    }
+  }
+};
+
+const CreateSessionWithNameIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionWithNameIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
+    const shouldSetAsPreset = setAsPreset && (setAsPreset.toLowerCase() === 'yes' || setAsPreset.toLowerCase() === 'true');
+    
+    if (!sessionName) {
+      return handlerInput.responseBuilder
+        .speak(t('create.nameNeeded'))
+        .reprompt(t('create.whatNameReprompt'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.inSessionCreation = true;
+      sessionAttributes.sessionCreationStep = 'startDate';
+      sessionAttributes.pendingSessionName = sessionName;
+      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      return handlerInput.responseBuilder
+        .speak(t('create.askStartDate', { session: sessionName }))
+        .reprompt(t('create.startDateReprompt'))
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in CreateSessionWithNameIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('create.error'))
+        .getResponse();
+    }
+  }
+};
+
+// Save the session being created and end the creation dialog
+async function finishSessionCreation(handlerInput, attendanceKey, endDate) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const sessionName = sessionAttributes.pendingSessionName;
+  const startDate = sessionAttributes.pendingStartDate;
+  const shouldSetAsPreset = sessionAttributes.shouldSetAsPreset || false;
+  const t = getRequestTranslator(handlerInput);
+  
+  const sessionData = await saveSession(attendanceKey, sessionName, startDate, endDate, shouldSetAsPreset);
+  
+  delete sessionAttributes.inSessionCreation;
+  delete sessionAttributes.sessionCreationStep;
+  delete sessionAttributes.pendingSessionName;
+  delete sessionAttributes.pendingStartDate;
+  delete sessionAttributes.pendingEndDate;
+  delete sessionAttributes.shouldSetAsPreset;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  let speechText = t('create.done', {
+    session: sessionData.name,
+    startDate: formatAlexaDate(startDate, t),
+    endDate: formatAlexaDate(endDate, t)
+  });
+  if (shouldSetAsPreset) {
+    speechText += t('create.donePreset');
+  }
+  
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .getResponse();
+}
+
+// Spoken list of the sessions a new or moved session would overlap with,
+// naming at most two
+function describeOverlappingSessions(overlapping, t = getTranslator()) {
+  const described = overlapping.slice(0, 2)
+    .map(s => t('create.overlapSession', {
+      session: s.name,
+      startDate: formatAlexaDate(s.startDate, t),
+      endDate: s.endDate ? formatAlexaDate(s.endDate, t) : t('day.today')
+    }))
+    .join(`,${t('list.and')}`);
+  const more = overlapping.length > 2 ? t('session.andCountMore', { count: overlapping.length - 2 }) : '';
+  return `${described}${more}`;
+}
+
+// Check the end date of the session being created. Inverted ranges are
+// asked for again, and overlaps with other sessions need a yes before
+// anything is saved.
+async function handleSessionEndDate(handlerInput, attendanceKey, dateValue) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const startDate = sessionAttributes.pendingStartDate;
+  const endDate = resolveSessionDate(dateValue, 'end');
+  const t = getRequestTranslator(handlerInput);
+  
+  if (!endDate) {
+    sessionAttributes.sessionCreationStep = 'endDate';
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    return handlerInput.responseBuilder
+      .speak(t('create.endDateNeeded'))
+      .reprompt(t('create.whenEnd'))
+      .getResponse();
+  }
+  
+  if (endDate < startDate) {
+    sessionAttributes.sessionCreationStep = 'endDate';
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    return handlerInput.responseBuilder
+      .speak(t('create.endBeforeStart', { endDate: formatAlexaDate(endDate, t), startDate: formatAlexaDate(startDate, t) }))
+      .reprompt(t('create.whenEnd'))
+      .getResponse();
+  }
+  
+  const sessions = await getAvailableSessions(attendanceKey);
+  const overlapping = findOverlappingSessions(sessions, startDate, endDate, sessionAttributes.pendingSessionName);
+  
+  if (overlapping.length > 0) {
+    sessionAttributes.pendingEndDate = endDate;
+    sessionAttributes.sessionCreationStep = 'confirmOverlap';
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    
+    return handlerInput.responseBuilder
+      .speak(t('create.overlap', {
+        startDate: formatAlexaDate(startDate, t),
+        endDate: formatAlexaDate(endDate, t),
+        sessions: describeOverlappingSessions(overlapping, t)
+      }))
+      .reprompt(t('create.overlapReprompt'))
+      .getResponse();
   }
   
-  updatedSessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  await updateUserData(attendanceKey, { sessions: updatedSessions });
-  
-  return sessionData;
+  return finishSessionCreation(handlerInput, attendanceKey, endDate);
 }
 
-// Get available sessions
-async function getAvailableSessions(attendanceKey) {
-  const userData = await getUserData(attendanceKey);
-  return userData.sessions || [];
-}
+const DateIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DateIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    const attendanceKey = await getUserKey(handlerInput);
+    
+    if (sessionAttributes.inSessionCreation) {
+      const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+      
+      if (sessionAttributes.sessionCreationStep === 'startDate') {
+        if (dateValue) {
+          const startDate = resolveSessionDate(dateValue, 'start');
+          if (!startDate) {
+            return handlerInput.responseBuilder
+              .speak(t('create.startDateNeeded'))
+              .reprompt(t('create.whenStart'))
+              .getResponse();
+          }
+          
+          sessionAttributes.pendingStartDate = startDate;
+          sessionAttributes.sessionCreationStep = 'endDate';
+          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+          
+          return handlerInput.responseBuilder
+            .speak(t('create.askEndDate', { startDate: formatAlexaDate(startDate, t) }))
+            .reprompt(t('create.endDateReprompt'))
+            .getResponse();
+        } else {
+          return handlerInput.responseBuilder
+            .speak(t('create.missedStartDate'))
+            .reprompt(t('create.whenStart'))
+            .getResponse();
+        }
+      } 
+      else if (sessionAttributes.sessionCreationStep === 'endDate' || sessionAttributes.sessionCreationStep === 'confirmOverlap') {
+        if (dateValue) {
+          return handleSessionEndDate(handlerInput, attendanceKey, dateValue);
+        } else {
+          return handlerInput.responseBuilder
+            .speak(t('create.missedEndDate'))
+            .reprompt(t('create.whenEnd'))
+            .getResponse();
+        }
+      }
+    }
+    
+    const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+    if (dateValue) {
+      return handlerInput.responseBuilder
+        .speak(t('date.heard', { date: formatAlexaDate(dateValue, t) }))
+        .reprompt(t('date.whatToDo'))
+        .getResponse();
+    }
+    
+    return handlerInput.responseBuilder
+      .speak(t('date.notUnderstood'))
+      .getResponse();
+  }
+};
+
 // ============================================================
-// INTENT HANDLERS - LAUNCH & ATTENDANCE MARKING
+// INTENT HANDLERS - SUBJECTS
 // ============================================================
 
-const LaunchRequestHandler = {
+const AddSubjectIntentHandler = {
   canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'AddSubjectIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
     
-    if (!accessToken) {
-      return requireAccountLinking(handlerInput);
+    const subjectName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+    
+    if (!subjectName) {
+      return handlerInput.responseBuilder
+        .speak(t('subject.nameNeeded'))
+        .reprompt(t('subject.whatName'))
+        .getResponse();
     }
     
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const speechText = 'Welcome to Attendance Tracker! You can mark your attendance as present, absent, or holiday. You can also ask for monthly or session attendance percentages. What would you like to do?';
+      const result = await addSubject(attendanceKey, subjectName);
+      
+      if (!result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('subject.exists', { subject: result.subject.name }))
+          .getResponse();
+      }
       
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What would you like to do? You can say mark present, mark absent, or ask for attendance percentage.')
+        .speak(t('subject.added', { subject: result.subject.name }))
         .getResponse();
+        
     } catch (error) {
-      console.error('Error in LaunchRequest:', error);
-      const speechText = 'Welcome to Attendance Tracker! What would you like to do?';
+      console.error('Error in AddSubjectIntent:', error);
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What would you like to do?')
+        .speak(t('subject.addError'))
         .getResponse();
     }
   }
 };
 
-const MarkPresentIntentHandler = {
+const ListSubjectsIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkPresentIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListSubjectsIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
@@ -701,733 +6044,836 @@ const MarkPresentIntentHandler = {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const today = getFormattedDate();
-      const userData = await getUserData(attendanceKey);
+      const subjects = await getSubjects(attendanceKey);
       
-      if (isNonWorkingDay(today, userData)) {
+      if (subjects.length === 0) {
         return handlerInput.responseBuilder
-          .speak('Today is a non-working day. You cannot mark attendance on non-working days.')
+          .speak(t('subject.noneYet'))
           .getResponse();
       }
       
-      const existingStatus = await getDayStatus(attendanceKey, today);
+      return handlerInput.responseBuilder
+        .speak(t('subject.list', { count: subjects.length, names: joinNames(subjects.map(s => s.name), t) }))
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in ListSubjectsIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('subject.listError'))
+        .getResponse();
+    }
+  }
+};
+
+const SubjectAttendanceIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SubjectAttendanceIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
       
-      if (existingStatus) {
-        if (existingStatus.status === 'present' || existingStatus === 'present') {
-          return handlerInput.responseBuilder
-            .speak('Today is already marked as present.')
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'present',
-            oldStatus: existingStatus.status || existingStatus
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to present?`)
-            .reprompt('Should I change today\'s status to present?')
-            .getResponse();
-        }
+      const subjectSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'subject');
+      const result = await calculateSessionAttendance(attendanceKey, null, subjectSlot);
+      
+      if (!result.success) {
+        return subjectNotFound(handlerInput, subjectSlot);
+      }
+      
+      if (subjectSlot) {
+        return handlerInput.responseBuilder
+          .speak(t('subject.attendance', {
+            subject: result.subjectName,
+            session: describeSessionName(result, t),
+            percentage: result.percentage,
+            presentDays: result.presentDays,
+            count: result.totalWorkingDays
+          }))
+          .getResponse();
+      }
+      
+      if (!result.subjects) {
+        return handlerInput.responseBuilder
+          .speak(t('subject.noneYet'))
+          .getResponse();
       }
       
-      await setDayStatus(attendanceKey, today, 'present');
+      const perSubject = result.subjects
+        .map(s => t('subject.percentage', { subject: s.name, percentage: s.percentage }))
+        .join(', ');
       
       return handlerInput.responseBuilder
-        .speak('Successfully marked as present for today.')
+        .speak(t('subject.breakdown', {
+          session: describeSessionName(result, t),
+          subjects: perSubject,
+          percentage: result.overall.percentage
+        }))
         .getResponse();
         
     } catch (error) {
-      console.error('Error in MarkPresentIntent:', error);
+      console.error('Error in SubjectAttendanceIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .speak(t('subject.attendanceError'))
         .getResponse();
     }
   }
 };
 
-const MarkAbsentIntentHandler = {
+// ============================================================
+// INTENT HANDLERS - HOLIDAYS
+// ============================================================
+
+// Maximum holidays read out in one response
+const MAX_SPOKEN_HOLIDAYS = 5;
+
+const ListHolidaysIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkAbsentIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListHolidaysIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
     try {
-      const attendanceKey = await getUserKey(handlerInput);
-      await ensureUserCredentials(attendanceKey);
+      const timeZone = getRequestTimeZone(handlerInput);
       
-      const today = getFormattedDate();
-      const userData = await getUserData(attendanceKey);
+      const monthSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'month');
+      const yearMonth = getYearMonthFromDate(monthSlot, timeZone);
+      const userData = await getRequestUserData(handlerInput, [yearMonth]);
+      const periods = getHolidayPeriods(userData, `${yearMonth}-01`, `${yearMonth}-31`);
+      const monthName = describeMonth(yearMonth, t);
       
-      if (isNonWorkingDay(today, userData)) {
+      if (periods.length === 0) {
         return handlerInput.responseBuilder
-          .speak('Today is a non-working day. You cannot mark attendance on non-working days.')
+          .speak(t('holiday.noneInMonth', { month: monthName }))
           .getResponse();
       }
       
-      const existingStatus = await getDayStatus(attendanceKey, today);
+      const spoken = periods.slice(0, MAX_SPOKEN_HOLIDAYS).map(period => describeHolidayPeriod(period, timeZone, t));
+      let speechText = t('holiday.inMonth', { month: monthName, holidays: joinNames(spoken, t) });
+      if (periods.length > MAX_SPOKEN_HOLIDAYS) {
+        speechText += t('holiday.moreInMonth', { count: periods.length - MAX_SPOKEN_HOLIDAYS });
+      }
       
-      if (existingStatus) {
-        if (existingStatus.status === 'absent' || existingStatus === 'absent') {
-          return handlerInput.responseBuilder
-            .speak('Today is already marked as absent.')
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'absent',
-            oldStatus: existingStatus.status || existingStatus
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to absent?`)
-            .reprompt('Should I change today\'s status to absent?')
-            .getResponse();
-        }
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in ListHolidaysIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('holiday.fetchError'))
+        .getResponse();
+    }
+  }
+};
+
+const NextHolidayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'NextHolidayIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    try {
+      const timeZone = getRequestTimeZone(handlerInput);
+      const today = getFormattedDate(new Date(), timeZone);
+      // Holidays can't be marked or imported further ahead than
+      // MAX_FUTURE_HOLIDAY_DAYS
+      const searchStart = addDays(today, -MAX_RANGE_DAYS);
+      const searchEnd = addDays(today, MAX_FUTURE_HOLIDAY_DAYS);
+      const userData = await getRequestUserData(handlerInput, getMonthsInRange(searchStart, searchEnd));
+      
+      // A holiday that is already under way still counts as the next one
+      const [next] = getHolidayPeriods(userData, searchStart, searchEnd)
+        .filter(period => period.endDate >= today);
+      
+      if (!next) {
+        return handlerInput.responseBuilder
+          .speak(t('holiday.noneUpcoming'))
+          .getResponse();
       }
       
-      await setDayStatus(attendanceKey, today, 'absent');
+      const daysAway = daysBetween(today, next.startDate);
+      let speechText = t('holiday.next', { holiday: describeHolidayPeriod(next, timeZone, t) });
+      if (daysAway > 1) {
+        speechText += t('holiday.inDays', { count: daysAway });
+      } else if (daysAway === 1) {
+        speechText += t('holiday.tomorrow');
+      }
       
       return handlerInput.responseBuilder
-        .speak('Successfully marked as absent for today.')
+        .speak(speechText)
         .getResponse();
         
     } catch (error) {
-      console.error('Error in MarkAbsentIntent:', error);
+      console.error('Error in NextHolidayIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking attendance. Please try again.')
+        .speak(t('holiday.fetchError'))
         .getResponse();
     }
   }
 };
 
-const MarkHolidayIntentHandler = {
+// Asks for confirmation; AMAZON.YesIntent clears the day
+const RemoveHolidayIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MarkHolidayIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveHolidayIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const date = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return handlerInput.responseBuilder
+        .speak(t('holiday.whichToRemove'))
+        .reprompt(t('holiday.whichToRemoveReprompt'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+      const timeZone = getRequestTimeZone(handlerInput);
+      
+      const holiday = findHoliday(userData, date);
+      if (!holiday) {
+        return handlerInput.responseBuilder
+          .speak(t('holiday.notMarked', { day: describeDay(date, true, timeZone, t) }))
+          .getResponse();
+      }
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.pendingStatusChange = {
+        date,
+        newStatus: null,
+        oldStatus: 'holiday',
+        holidayName: holiday.name
+      };
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      return handlerInput.responseBuilder
+        .speak(t('holiday.confirmRemove', { day: describeDay(date, true, timeZone, t), status: describeHoliday(holiday.name, t) }))
+        .reprompt(t('holiday.confirmRemoveReprompt', { day: describeDay(date, false, timeZone, t) }))
+        .getResponse();
+        
+    } catch (error) {
+      console.error('Error in RemoveHolidayIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('holiday.removeError'))
+        .getResponse();
+    }
+  }
+};
+
+const RenameHolidayIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RenameHolidayIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
+    const date = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
     const holidayName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'holidayName');
     
-    if (!holidayName) {
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !holidayName) {
       return handlerInput.responseBuilder
-        .speak('Please specify the holiday name. For example, say "mark holiday for Diwali".')
-        .reprompt('What is the name of the holiday?')
+        .speak(t('holiday.renameNeeded'))
+        .reprompt(t('holiday.renameReprompt'))
         .getResponse();
     }
     
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
+      const userData = await getRequestUserData(handlerInput, [date.substring(0, 7)]);
+      const timeZone = getRequestTimeZone(handlerInput);
       
-      const today = getFormattedDate();
-      const existingStatus = await getDayStatus(attendanceKey, today);
-      
-      if (existingStatus) {
-        if (existingStatus.status === 'holiday' || existingStatus === 'holiday') {
-          return handlerInput.responseBuilder
-            .speak(`Today is already marked as holiday for ${existingStatus.name || 'a holiday'}.`)
-            .getResponse();
-        } else {
-          const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-          sessionAttributes.pendingStatusChange = {
-            date: today,
-            newStatus: 'holiday',
-            oldStatus: existingStatus.status || existingStatus,
-            holidayName: holidayName
-          };
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Today is currently marked as ${existingStatus.status || existingStatus}. Would you like to change it to holiday for ${holidayName}?`)
-            .reprompt(`Should I change today\'s status to holiday for ${holidayName}?`)
-            .getResponse();
-        }
+      const holiday = findHoliday(userData, date);
+      if (!holiday) {
+        return handlerInput.responseBuilder
+          .speak(t('holiday.notMarkedToRename', { day: describeDay(date, true, timeZone, t), name: holidayName }))
+          .getResponse();
       }
       
-      await setDayStatus(attendanceKey, today, 'holiday', { holidayName });
+      await setDayStatus(attendanceKey, date, 'holiday', { holidayName });
       
       return handlerInput.responseBuilder
-        .speak(`Successfully marked as holiday for ${holidayName}.`)
+        .speak(t('holiday.renamed', { day: describeDay(date, false, timeZone, t), oldName: holiday.name, newName: holidayName }))
         .getResponse();
         
     } catch (error) {
-      console.error('Error in MarkHolidayIntent:', error);
+      console.error('Error in RenameHolidayIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while marking holiday. Please try again.')
+        .speak(t('holiday.renameError'))
         .getResponse();
     }
   }
 };
 
-const MonthlyAttendanceIntentHandler = {
+// ============================================================
+// INTENT HANDLERS - SETTINGS
+// ============================================================
+
+const SetStatusWeightIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'MonthlyAttendanceIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetStatusWeightIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
+    const statusSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'status');
+    const percentSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'percent');
+    const status = normalizeStatus(statusSlot);
+    const percent = Number(percentSlot);
+    
+    if (!status || !PARTIAL_STATUSES.includes(status) || percentSlot === undefined || isNaN(percent)) {
+      return handlerInput.responseBuilder
+        .speak(t('weight.help'))
+        .reprompt(t('weight.reprompt'))
+        .getResponse();
+    }
+    
+    if (percent < 0 || percent > 100) {
+      return handlerInput.responseBuilder
+        .speak(t('weight.outOfRange'))
+        .reprompt(t('weight.howMuch'))
+        .getResponse();
+    }
+    
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const monthSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'month');
-      const yearMonth = monthSlot ? getYearMonthFromDate(monthSlot) : getYearMonthFromDate();
-      
-      const percentage = await calculateMonthlyAttendance(attendanceKey, yearMonth);
-      
-      const monthName = new Date(yearMonth + '-01').toLocaleString('en-US', { month: 'long', year: 'numeric' });
+      await setStatusWeight(attendanceKey, status, percent / 100);
       
       return handlerInput.responseBuilder
-        .speak(`Your attendance for ${monthName} is ${percentage} percent.`)
+        .speak(t(`weight.set.${status}`, { percent }))
         .getResponse();
         
     } catch (error) {
-      console.error('Error in MonthlyAttendanceIntent:', error);
+      console.error('Error in SetStatusWeightIntent:', error);
+      return handlerInput.responseBuilder
+        .speak(t('weight.setError'))
+        .getResponse();
+    }
+  }
+};
+
+// Spoken values of the SetUnmarkedPolicyIntent "policy" slot
+const UNMARKED_POLICY_WORDS = {
+  absent: 'absent',
+  'count as absent': 'absent',
+  exclude: 'exclude',
+  excluded: 'exclude',
+  ignore: 'exclude',
+  ignored: 'exclude',
+  'leave out': 'exclude',
+  'left out': 'exclude'
+};
+
+const SetUnmarkedPolicyIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetUnmarkedPolicyIntent';
+  },
+  async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+    
+    const policySlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'policy');
+    const policy = UNMARKED_POLICY_WORDS[String(policySlot || '').toLowerCase().trim()];
+    if (!policy) {
+      return handlerInput.responseBuilder
+        .speak(t('unmarkedPolicy.help'))
+        .reprompt(t('unmarkedPolicy.reprompt'))
+        .getResponse();
+    }
+    
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+      await setUnmarkedPolicy(attendanceKey, policy);
+      
+      return handlerInput.responseBuilder
+        .speak(t(`unmarkedPolicy.set.${policy}`))
+        .getResponse();
+    } catch (error) {
+      console.error('Error in SetUnmarkedPolicyIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while fetching monthly attendance. Please try again.')
+        .speak(t('unmarkedPolicy.error'))
         .getResponse();
     }
   }
 };
 
-const SessionAttendanceIntentHandler = {
+const SetDaysOffIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SessionAttendanceIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetDaysOffIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
+    // "none" means working every day of the week
+    const daysValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'days');
+    const noDaysOff = /^(none|no days?( off)?|nothing)$/i.test(String(daysValue || '').trim());
+    const days = noDaysOff ? [] : getWeekdaysFromSlot(handlerInput, 'days');
+    
+    if ((!noDaysOff && days.length === 0) || days.includes(-1)) {
+      return handlerInput.responseBuilder
+        .speak(t('daysOff.whichDaysHelp'))
+        .reprompt(t('daysOff.whichDays'))
+        .getResponse();
+    }
+    
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const sessionNameSlot = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
-      
-      const result = await calculateSessionAttendance(attendanceKey, sessionNameSlot);
+      const result = await setDaysOff(attendanceKey, days);
+      if (!result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('daysOff.needWorkingDay'))
+          .reprompt(t('daysOff.whichDays'))
+          .getResponse();
+      }
       
+      const speechText = result.daysOff.length === 0
+        ? t('daysOff.noneSet')
+        : t('daysOff.set', { summary: describeDaysOff(result.daysOff, false, t) });
       return handlerInput.responseBuilder
-        .speak(`Your session attendance for ${result.sessionName} is ${result.percentage} percent. You have attended ${result.presentDays} out of ${result.totalWorkingDays} working days.`)
+        .speak(speechText)
         .getResponse();
         
     } catch (error) {
-      console.error('Error in SessionAttendanceIntent:', error);
+      console.error('Error in SetDaysOffIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while fetching session attendance. Please try again.')
+        .speak(t('daysOff.setError'))
         .getResponse();
     }
   }
 };
 
-const GetAttendancePercentageIntentHandler = {
+const GetDaysOffIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAttendancePercentageIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetDaysOffIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
     try {
-      const attendanceKey = await getUserKey(handlerInput);
-      await ensureUserCredentials(attendanceKey);
+      const userData = await getRequestUserSettings(handlerInput);
       
-      const result = await calculateSessionAttendance(attendanceKey);
+      const daysOff = getDaysOff(userData);
+      let speechText = daysOff.length === 0
+        ? t('daysOff.none')
+        : describeDaysOff(daysOff, true, t);
+      
+      const rules = userData.offDayRules || [];
+      if (rules.length > 0) {
+        speechText += t('daysOff.alsoOff', { rules: joinNames(rules.map(rule => describeOffDayRule(rule, t)), t) });
+      }
       
       return handlerInput.responseBuilder
-        .speak(`Your attendance percentage is ${result.percentage} percent for ${result.sessionName}. You have attended ${result.presentDays} out of ${result.totalWorkingDays} working days.`)
+        .speak(speechText)
         .getResponse();
         
     } catch (error) {
-      console.error('Error in GetAttendancePercentageIntent:', error);
+      console.error('Error in GetDaysOffIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while fetching your attendance percentage. Please try again.')
+        .speak(t('daysOff.fetchError'))
         .getResponse();
     }
   }
 };
-// ============================================================
-// INTENT HANDLERS - SESSION MANAGEMENT
-// ============================================================
 
-const SetAlexaPresetIntentHandler = {
+// "Second and fourth Saturdays off", "last Friday off" or "alternate
+// Saturdays off starting October 10th"
+const SetOffDayRuleIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAlexaPresetIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetOffDayRuleIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
-    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
+    const weekday = parseWeekday(Alexa.getSlotValue(handlerInput.requestEnvelope, 'weekday'));
+    const ordinals = getSlotValues(handlerInput, 'ordinal');
     
-    if (!sessionName) {
-      try {
-        const attendanceKey = await getUserKey(handlerInput);
-        await ensureUserCredentials(attendanceKey);
-        
-        const sessions = await getAvailableSessions(attendanceKey);
-        const presetSession = await getAlexaPresetSession(attendanceKey);
-        
-        if (sessions.length === 0) {
-          return handlerInput.responseBuilder
-            .speak('You don\'t have any sessions yet. Please create a session first by saying "create session".')
-            .getResponse();
-        }
-        
-        let speechText = `Your available sessions are: `;
-        sessions.slice(0, 5).forEach((session, index) => {
-          speechText += `${session.name}${session.isSelected ? ' (Alexa preset)' : ''}`;
-          if (index < Math.min(sessions.length, 5) - 1) speechText += ', ';
-        });
-        
-        if (presetSession) {
-          speechText += `. Your current Alexa preset session is ${presetSession.name}.`;
-        }
-        
-        speechText += ' Which session would you like to set as Alexa preset?';
-        
+    if (weekday === -1 || ordinals.length === 0) {
+      return handlerInput.responseBuilder
+        .speak(t('offDayRule.help'))
+        .reprompt(t('offDayRule.whichDays'))
+        .getResponse();
+    }
+    
+    let rule;
+    if (ordinals.some(value => /^(alternate|alternating|every other)/i.test(value))) {
+      const startDate = Alexa.getSlotValue(handlerInput.requestEnvelope, 'startDate');
+      if (!startDate || !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
         return handlerInput.responseBuilder
-          .speak(speechText)
-          .reprompt('Please tell me which session you want to set as Alexa preset.')
+          .speak(t('offDayRule.whichAnchorHelp', { weekday: describeWeekday(weekday, t) }))
+          .reprompt(t('offDayRule.whichAnchor', { weekday: describeWeekday(weekday, t) }))
           .getResponse();
-          
-      } catch (error) {
-        console.error('Error listing sessions:', error);
+      }
+      if (getDayOfWeek(startDate) !== weekday) {
+        return handlerInput.responseBuilder
+          .speak(t('offDayRule.wrongWeekday', {
+            date: formatAlexaDate(startDate, t),
+            actual: describeWeekday(getDayOfWeek(startDate), t),
+            weekday: describeWeekday(weekday, t)
+          }))
+          .reprompt(t('offDayRule.whichAnchor', { weekday: describeWeekday(weekday, t) }))
+          .getResponse();
+      }
+      rule = { type: 'alternate', weekday, anchorDate: startDate };
+    } else {
+      const weeks = ordinals.map(parseOrdinal);
+      if (weeks.includes(null)) {
         return handlerInput.responseBuilder
-          .speak('Sorry, I encountered an error while fetching your sessions. Please try again.')
+          .speak(t('offDayRule.badOrdinal'))
+          .reprompt(t('offDayRule.whichDays'))
           .getResponse();
       }
+      rule = { type: 'nth-weekday', weekday, weeks };
     }
     
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const result = await setAlexaPresetSession(attendanceKey, sessionName);
+      const result = await addOffDayRule(attendanceKey, normalizeOffDayRule(rule));
+      const added = result.offDayRules[result.offDayRules.length - 1];
       
-      if (result.success) {
-        return handlerInput.responseBuilder
-          .speak(`Okay, I've set ${result.session.name} as your Alexa preset session. Now when you ask for session attendance, I'll automatically use this session.`)
-          .getResponse();
-      } else {
-        return handlerInput.responseBuilder
-          .speak(`Session "${sessionName}" not found. Please tell me which session you want to set as Alexa preset.`)
-          .reprompt('Which session should I set as Alexa preset?')
-          .getResponse();
-      }
+      return handlerInput.responseBuilder
+        .speak(t('offDayRule.added', { rule: describeOffDayRule(added, t) }))
+        .getResponse();
         
     } catch (error) {
-      console.error('Error in SetAlexaPresetIntent:', error);
+      console.error('Error in SetOffDayRuleIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while setting Alexa preset session. Please try again.')
+        .speak(t('daysOff.setError'))
         .getResponse();
     }
   }
 };
 
-const GetAlexaPresetIntentHandler = {
+// Remove the off-day rules for a weekday, or all of them without one
+const RemoveOffDayRuleIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAlexaPresetIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveOffDayRuleIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
     
-    try {
-      const attendanceKey = await getUserKey(handlerInput);
-      await ensureUserCredentials(attendanceKey);
-      
-      const presetSession = await getAlexaPresetSession(attendanceKey);
-      
-      if (presetSession) {
-        return handlerInput.responseBuilder
-          .speak(`Your current Alexa preset session is ${presetSession.name}. It runs from ${formatAlexaDate(presetSession.startDate)} to ${formatAlexaDate(presetSession.endDate)}.`)
-          .getResponse();
-      } else {
-        return handlerInput.responseBuilder
-          .speak('You don\'t have an Alexa preset session set. You can set one by saying "set [session name] as Alexa preset".')
-          .getResponse();
-      }
-        
-    } catch (error) {
-      console.error('Error in GetAlexaPresetIntent:', error);
+    const weekdayValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'weekday');
+    const weekday = weekdayValue ? parseWeekday(weekdayValue) : null;
+    
+    if (weekday === -1) {
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while fetching your Alexa preset session. Please try again.')
+        .speak(t('offDayRule.whichToRemove'))
+        .reprompt(t('offDayRule.whichWeekday'))
         .getResponse();
     }
-  }
-};
-
-const ClearAlexaPresetIntentHandler = {
-  canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ClearAlexaPresetIntent';
-  },
-  async handle(handlerInput) {
-    const accessToken = getAccessToken(handlerInput);
-    if (!accessToken) return requireAccountLinking(handlerInput);
     
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const result = await clearAlexaPresetSession(attendanceKey);
+      const result = await removeOffDayRules(attendanceKey, weekday);
+      const which = weekday === null ? '' : t('offDayRule.forWeekday', { weekday: describeWeekday(weekday, t) });
       
-      if (result.success) {
-        return handlerInput.responseBuilder
-          .speak('I\'ve cleared your Alexa preset session. Next time you ask for attendance, I\'ll ask which session you want to use.')
-          .getResponse();
-      } else {
+      if (result.removed === 0) {
         return handlerInput.responseBuilder
-          .speak('There was no Alexa preset session to clear.')
+          .speak(t('offDayRule.noneToRemove', { which }))
           .getResponse();
       }
+      
+      return handlerInput.responseBuilder
+        .speak(t('offDayRule.removed', { which }))
+        .getResponse();
         
     } catch (error) {
-      console.error('Error in ClearAlexaPresetIntent:', error);
+      console.error('Error in RemoveOffDayRuleIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while clearing your Alexa preset session. Please try again.')
+        .speak(t('daysOff.setError'))
         .getResponse();
     }
   }
 };
 
-const SelectSessionIntentHandler = {
+// ============================================================
+// INTENT HANDLERS - REMINDERS
+// ============================================================
+
+const SetReminderIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SelectSessionIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetReminderIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
+    if (!hasRemindersPermission(handlerInput)) return requireRemindersPermission(handlerInput);
     
-    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
-    
-    if (!sessionName) {
-      try {
-        const attendanceKey = await getUserKey(handlerInput);
-        await ensureUserCredentials(attendanceKey);
-        
-        const sessions = await getAvailableSessions(attendanceKey);
-        
-        if (sessions.length === 0) {
-          return handlerInput.responseBuilder
-            .speak('You don\'t have any sessions yet. Please create a session first by saying "create session".')
-            .getResponse();
-        }
-        
-        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
-        if (sessions.length > 5) {
-          sessionList += ', and more';
-        }
-        
-        return handlerInput.responseBuilder
-          .speak(`Your available sessions are: ${sessionList}. Which session would you like to use?`)
-          .reprompt('Please tell me which session you want to use.')
-          .getResponse();
-          
-      } catch (error) {
-        console.error('Error listing sessions:', error);
-        return handlerInput.responseBuilder
-          .speak('Sorry, I encountered an error while fetching your sessions. Please try again.')
-          .getResponse();
-      }
+    const time = resolveReminderTime(Alexa.getSlotValue(handlerInput.requestEnvelope, 'time'));
+    if (!time) {
+      return handlerInput.responseBuilder
+        .speak(t('reminder.timeNeeded'))
+        .reprompt(t('reminder.whatTime'))
+        .getResponse();
     }
     
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
       
-      const sessions = await getAvailableSessions(attendanceKey);
+      const userData = await getRequestUserSettings(handlerInput);
+      const weekdays = getWorkingWeekdays(userData);
       
-      const exactCodeMatch = sessions.find(s => s.code === sessionName);
-      if (exactCodeMatch) {
-        await setAlexaPresetSession(attendanceKey, exactCodeMatch.code);
+      if (weekdays.length === 0) {
         return handlerInput.responseBuilder
-          .speak(`Okay, I've set ${exactCodeMatch.name} as your current session and Alexa preset.`)
+          .speak(t('reminder.noWorkingDays'))
           .getResponse();
       }
       
-      const nameMatches = sessions.filter(s => 
-        s.name.toLowerCase() === sessionName.toLowerCase()
+      const remindersClient = getRemindersClient(handlerInput);
+      const reminder = buildAttendanceReminder(
+        time,
+        weekdays,
+        Alexa.getLocale(handlerInput.requestEnvelope),
+        getRequestTimeZone(handlerInput),
+        t
       );
+      await remindersClient.createReminder(reminder);
       
-      if (nameMatches.length === 1) {
-        await setAlexaPresetSession(attendanceKey, nameMatches[0].code);
-        return handlerInput.responseBuilder
-          .speak(`Okay, I've set ${nameMatches[0].name} as your current session and Alexa preset.`)
-          .getResponse();
-      } else if (nameMatches.length > 1) {
-        const sessionCodes = nameMatches.map(s => s.code).join(', ');
-        const dateRanges = nameMatches.map(s => 
-          `${formatAlexaDate(s.startDate)} to ${formatAlexaDate(s.endDate)}`
-        ).join(' and ');
-        
-        return handlerInput.responseBuilder
-          .speak(`I found ${nameMatches.length} sessions named "${sessionName}" with date ranges: ${dateRanges}. Please specify which one by using the session code: ${sessionCodes}`)
-          .reprompt('Please tell me the session code to select the correct session.')
-          .getResponse();
-      } else {
-        if (sessions.length === 0) {
-          return handlerInput.responseBuilder
-            .speak(`Session "${sessionName}" not found. You don't have any sessions yet. Please create a session first by saying "create session".`)
-            .getResponse();
-        }
-        
-        let sessionList = sessions.slice(0, 5).map(s => s.name).join(', ');
-        if (sessions.length > 5) {
-          sessionList += ', and more';
-        }
-        
-        return handlerInput.responseBuilder
-          .speak(`Session "${sessionName}" not found. Your available sessions are: ${sessionList}. Which session would you like to use?`)
-          .reprompt('Please tell me which session you want to use.')
-          .getResponse();
+      let speechText = t('reminder.set', { time: describeTime(time, t), days: describeWeekdays(weekdays, t) });
+      const rules = userData.offDayRules || [];
+      if (rules.length > 0) {
+        speechText += t('reminder.offDayRulesIncluded', { rules: joinNames(rules.map(rule => describeOffDayRule(rule, t)), t) });
       }
+      
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
         
     } catch (error) {
-      console.error('Error in SelectSessionIntent:', error);
+      if (isPermissionError(error)) return requireRemindersPermission(handlerInput);
+      console.error('Error in SetReminderIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while setting your session. Please try again.')
+        .speak(t('reminder.setError'))
         .getResponse();
     }
   }
 };
 
-const ListSessionsIntentHandler = {
+const ListRemindersIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListSessionsIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListRemindersIntent';
   },
   async handle(handlerInput) {
-    const accessToken = getAccessToken(handlerInput);
-    if (!accessToken) return requireAccountLinking(handlerInput);
+    const t = getRequestTranslator(handlerInput);
+    if (!hasRemindersPermission(handlerInput)) return requireRemindersPermission(handlerInput);
     
     try {
-      const attendanceKey = await getUserKey(handlerInput);
-      await ensureUserCredentials(attendanceKey);
-      
-      const sessions = await getAvailableSessions(attendanceKey);
-      const presetSession = await getAlexaPresetSession(attendanceKey);
+      const reminders = await getAttendanceReminders(getRemindersClient(handlerInput));
       
-      if (sessions.length === 0) {
+      if (reminders.length === 0) {
         return handlerInput.responseBuilder
-          .speak('You don\'t have any sessions yet. You can create one by saying "create session".')
+          .speak(t('reminder.none'))
           .getResponse();
       }
       
-      let speechText = `You have ${sessions.length} session${sessions.length > 1 ? 's' : ''}: `;
-      
-      sessions.slice(0, 5).forEach((session, index) => {
-        speechText += `${session.name}`;
-        if (session.isSelected) {
-          speechText += ' (Alexa preset)';
-        }
-        if (index < Math.min(sessions.length, 5) - 1) {
-          speechText += ', ';
-        }
-      });
-      
-      if (sessions.length > 5) {
-        speechText += `, and ${sessions.length - 5} more`;
-      }
-      
-      if (presetSession) {
-        speechText += `. Your Alexa preset session is ${presetSession.name}.`;
+      let described = reminders.slice(0, 3).map(alert => describeReminder(alert, t)).join('; ');
+      if (reminders.length > 3) {
+        described += t('history.andCountMore', { count: reminders.length - 3 });
       }
+      const speechText = t('reminder.list', { count: reminders.length, reminders: described });
       
       return handlerInput.responseBuilder
         .speak(speechText)
         .getResponse();
         
     } catch (error) {
-      console.error('Error in ListSessionsIntent:', error);
+      if (isPermissionError(error)) return requireRemindersPermission(handlerInput);
+      console.error('Error in ListRemindersIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while listing your sessions. Please try again.')
+        .speak(t('reminder.listError'))
         .getResponse();
     }
   }
 };
-// ============================================================
-// INTENT HANDLERS - SESSION CREATION
-// ============================================================
 
-const CreateSessionIntentHandler = {
+const CancelRemindersIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CancelRemindersIntent';
   },
   async handle(handlerInput) {
-    const accessToken = getAccessToken(handlerInput);
-    if (!accessToken) return requireAccountLinking(handlerInput);
-    
-    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
-    const shouldSetAsPreset = setAsPreset && (setAsPreset.toLowerCase() === 'yes' || setAsPreset.toLowerCase() === 'true');
+    const t = getRequestTranslator(handlerInput);
+    if (!hasRemindersPermission(handlerInput)) return requireRemindersPermission(handlerInput);
     
     try {
-      const attendanceKey = await getUserKey(handlerInput);
-      await ensureUserCredentials(attendanceKey);
+      const remindersClient = getRemindersClient(handlerInput);
+      const reminders = await getAttendanceReminders(remindersClient);
       
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.inSessionCreation = true;
-      sessionAttributes.sessionCreationStep = 'name';
-      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      if (reminders.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('reminder.noneToCancel'))
+          .getResponse();
+      }
       
-      let speechText = 'Okay, let\'s create a new session. What would you like to name this session?';
-      if (shouldSetAsPreset) {
-        speechText += ' This session will be set as your Alexa preset.';
+      for (const reminder of reminders) {
+        await remindersClient.deleteReminder(reminder.alertToken);
       }
       
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('What should I call this session?')
+        .speak(t('reminder.cancelled', { count: reminders.length }))
         .getResponse();
+        
     } catch (error) {
-      console.error('Error in CreateSessionIntent:', error);
+      if (isPermissionError(error)) return requireRemindersPermission(handlerInput);
+      console.error('Error in CancelRemindersIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while starting session creation. Please try again.')
+        .speak(t('reminder.cancelError'))
         .getResponse();
     }
   }
 };
 
-const CreateSessionWithNameIntentHandler = {
+// ============================================================
+// INTENT HANDLERS - CHANGE HISTORY
+// ============================================================
+
+const UndoIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'CreateSessionWithNameIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'UndoIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const accessToken = getAccessToken(handlerInput);
     if (!accessToken) return requireAccountLinking(handlerInput);
-    
-    const sessionName = Alexa.getSlotValue(handlerInput.requestEnvelope, 'sessionName');
-    const setAsPreset = Alexa.getSlotValue(handlerInput.requestEnvelope, 'setAsPreset');
-    const shouldSetAsPreset = setAsPreset && (setAsPreset.toLowerCase() === 'yes' || setAsPreset.toLowerCase() === 'true');
-    
-    if (!sessionName) {
-      return handlerInput.responseBuilder
-        .speak('Please provide a session name. For example, say "create session called Summer 2024".')
-        .reprompt('What would you like to name this session?')
-        .getResponse();
-    }
-    
+
     try {
       const attendanceKey = await getUserKey(handlerInput);
       await ensureUserCredentials(attendanceKey);
-      
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.inSessionCreation = true;
-      sessionAttributes.sessionCreationStep = 'startDate';
-      sessionAttributes.pendingSessionName = sessionName;
-      sessionAttributes.shouldSetAsPreset = shouldSetAsPreset;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-      
+
+      const result = await undoLastChange(attendanceKey);
+
+      if (!result.success) {
+        return handlerInput.responseBuilder
+          .speak(t('history.nothingToUndo'))
+          .getResponse();
+      }
+
+      const changes = result.undone.changes;
+      let speechText;
+      if (changes.length === 1) {
+        speechText = t('history.undoneDay', {
+          date: formatAlexaDate(changes[0].date, t),
+          value: describeHistoryValue(changes[0].oldValue, t)
+        });
+      } else {
+        speechText = t('history.undone', { change: describeChangeEntry(result.undone, t) });
+      }
+
       return handlerInput.responseBuilder
-        .speak(`Okay, I'll create session "${sessionName}". When does this session start? Please provide a start date like "June 1st 2024" or "2024-06-01".`)
-        .reprompt('Please tell me the start date for this session.')
+        .speak(speechText)
         .getResponse();
-        
+
     } catch (error) {
-      console.error('Error in CreateSessionWithNameIntent:', error);
+      console.error('Error in UndoIntent:', error);
       return handlerInput.responseBuilder
-        .speak('Sorry, I encountered an error while creating the session. Please try again.')
+        .speak(t('history.undoError'))
         .getResponse();
     }
   }
 };
 
-const DateIntentHandler = {
+const ChangeHistoryIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-           Alexa.getIntentName(handlerInput.requestEnvelope) === 'DateIntent';
+           Alexa.getIntentName(handlerInput.requestEnvelope) === 'ChangeHistoryIntent';
   },
   async handle(handlerInput) {
-    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-    const attendanceKey = await getUserKey(handlerInput);
-    
-    if (sessionAttributes.inSessionCreation) {
-      const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
-      
-      if (sessionAttributes.sessionCreationStep === 'startDate') {
-        if (dateValue) {
-          sessionAttributes.pendingStartDate = dateValue;
-          sessionAttributes.sessionCreationStep = 'endDate';
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          return handlerInput.responseBuilder
-            .speak(`Okay, starting on ${formatAlexaDate(dateValue)}. When does the session end?`)
-            .reprompt('Please provide an end date for the session.')
-            .getResponse();
-        } else {
-          return handlerInput.responseBuilder
-            .speak('I didn\'t catch the start date. Please provide a start date like "June 1st 2024" or "2024-06-01".')
-            .reprompt('When does the session start?')
-            .getResponse();
-        }
-      } 
-      else if (sessionAttributes.sessionCreationStep === 'endDate') {
-        if (dateValue) {
-          const sessionName = sessionAttributes.pendingSessionName;
-          const startDate = sessionAttributes.pendingStartDate;
-          const endDate = dateValue;
-          const shouldSetAsPreset = sessionAttributes.shouldSetAsPreset || false;
-          
-          const sessionData = await saveSession(attendanceKey, sessionName, startDate, endDate, shouldSetAsPreset);
-          
-          delete sessionAttributes.inSessionCreation;
-          delete sessionAttributes.sessionCreationStep;
-          delete sessionAttributes.pendingSessionName;
-          delete sessionAttributes.pendingStartDate;
-          delete sessionAttributes.shouldSetAsPreset;
-          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-          
-          let speechText = `Successfully created session "${sessionData.name}" from ${formatAlexaDate(startDate)} to ${formatAlexaDate(endDate)}.`;
-          if (shouldSetAsPreset) {
-            speechText += ' I\'ve also set it as your Alexa preset session.';
-          }
-          
-          return handlerInput.responseBuilder
-            .speak(speechText)
-            .getResponse();
-        } else {
-          return handlerInput.responseBuilder
-            .speak('I didn\'t catch the end date. Please provide an end date like "August 31st 2024" or "2024-08-31".')
-            .reprompt('When does the session end?')
-            .getResponse();
-        }
+    const t = getRequestTranslator(handlerInput);
+    const accessToken = getAccessToken(handlerInput);
+    if (!accessToken) return requireAccountLinking(handlerInput);
+
+    try {
+      const attendanceKey = await getUserKey(handlerInput);
+      await ensureUserCredentials(attendanceKey);
+
+      const today = getFormattedDate(new Date(), getRequestTimeZone(handlerInput));
+      const entries = (await getRecentChanges(attendanceKey))
+        .filter(e => e.changedOn === today && e.type === 'change');
+
+      if (entries.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('history.noneToday'))
+          .getResponse();
       }
-    }
-    
-    const dateValue = Alexa.getSlotValue(handlerInput.requestEnvelope, 'date');
-    if (dateValue) {
+
+      let described = entries.slice(0, 5).map(entry => {
+        let text = describeChangeEntry(entry, t);
+        if (entry.source === CHANGE_SOURCE_WEB) text += t('history.fromWeb');
+        if (entry.source === CHANGE_SOURCE_IMPORT) text += t('history.fromImport');
+        if (entry.undoneAt) text += t('history.wasUndone');
+        return text;
+      }).join('; ');
+      if (entries.length > 5) {
+        described += t('history.andCountMore', { count: entries.length - 5 });
+      }
+      const speechText = t('history.today', { count: entries.length, changes: described });
+
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .getResponse();
+
+    } catch (error) {
+      console.error('Error in ChangeHistoryIntent:', error);
       return handlerInput.responseBuilder
-        .speak(`You said the date is ${formatAlexaDate(dateValue)}. What would you like to do with this date?`)
-        .reprompt('What would you like to do with this date?')
+        .speak(t('history.fetchError'))
         .getResponse();
     }
-    
-    return handlerInput.responseBuilder
-      .speak('I\'m not sure what date you\'re referring to. Please try again.')
-      .getResponse();
   }
 };
+
 // ============================================================
 // INTENT HANDLERS - CONFIRMATIONS & BUILT-INS
 // ============================================================
@@ -1438,24 +6884,82 @@ const YesIntentHandler = {
            Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.YesIntent';
   },
   async handle(handlerInput) {
+    const t = getRequestTranslator(handlerInput);
     const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
     
+    if (sessionAttributes.pendingSessionChange) {
+      const pendingSessionChange = sessionAttributes.pendingSessionChange;
+      delete sessionAttributes.pendingSessionChange;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      try {
+        const attendanceKey = await getUserKey(handlerInput);
+        await ensureUserCredentials(attendanceKey);
+        return await applyPendingSessionChange(handlerInput, attendanceKey, pendingSessionChange);
+      } catch (error) {
+        console.error('Error confirming session change:', error);
+        return handlerInput.responseBuilder
+          .speak(t('session.updateError'))
+          .getResponse();
+      }
+    }
+    
+    if (sessionAttributes.pendingBackfill) {
+      const dates = sessionAttributes.pendingBackfill;
+      delete sessionAttributes.pendingBackfill;
+      return askBackfillDay(handlerInput, { dates, index: 0, marked: 0 }, t('backfill.start'));
+    }
+    
     if (sessionAttributes.pendingStatusChange) {
-      const { date, newStatus, oldStatus, holidayName } = sessionAttributes.pendingStatusChange;
+      const { date, dates, newStatus, oldStatus, holidayName, subject, subjectName } = sessionAttributes.pendingStatusChange;
+      const inSubject = subjectName ? describeInSubject(subjectName, t) : '';
+      // newStatus is null when a holiday is being removed
+      const status = newStatus === 'holiday' && holidayName ? describeHoliday(holidayName, t) : newStatus && describeStatus(newStatus, t);
       const attendanceKey = await getUserKey(handlerInput);
+      const timeZone = getRequestTimeZone(handlerInput);
       
       try {
         await ensureUserCredentials(attendanceKey);
-        await setDayStatus(attendanceKey, date, newStatus, { holidayName });
+        const before = newStatus === 'absent' && !subject ? await calculateSessionAttendance(attendanceKey) : null;
+        
+        if (dates) {
+          const result = await setDaysStatus(attendanceKey, dates, newStatus, { holidayName, subject });
+          await refreshMonthCalendar(handlerInput, attendanceKey, dates);
+          
+          delete sessionAttributes.pendingStatusChange;
+          handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+          
+          let speechText = t('mark.doneRange', { count: result.count, status, inSubject });
+          if (before) {
+            speechText += await describeTargetWarning(attendanceKey, before, t);
+          }
+          
+          return handlerInput.responseBuilder
+            .speak(speechText)
+            .getResponse();
+        }
+        
+        await setDayStatus(attendanceKey, date, newStatus, { holidayName, subject });
+        await refreshMonthCalendar(handlerInput, attendanceKey, [date]);
         
         delete sessionAttributes.pendingStatusChange;
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         
-        let speechText = `Okay, I've changed ${date} from ${oldStatus} to ${newStatus}`;
-        if (newStatus === 'holiday' && holidayName) {
-          speechText += ` for ${holidayName}`;
+        if (!newStatus) {
+          return handlerInput.responseBuilder
+            .speak(t('holiday.removed', { status: describeHoliday(holidayName, t), day: describeDay(date, false, timeZone, t) }))
+            .getResponse();
+        }
+        
+        let speechText = t('mark.changed', {
+          day: describeDay(date, false, timeZone, t),
+          inSubject,
+          oldStatus: describeStatus(oldStatus, t),
+          status
+        });
+        if (before) {
+          speechText += await describeTargetWarning(attendanceKey, before, t);
         }
-        speechText += '.';
         
         return handlerInput.responseBuilder
           .speak(speechText)
@@ -1464,7 +6968,19 @@ const YesIntentHandler = {
       } catch (error) {
         console.error('Error confirming status change:', error);
         return handlerInput.responseBuilder
-          .speak('Sorry, I encountered an error while updating the status. Please try again.')
+          .speak(t('mark.updateError'))
+          .getResponse();
+      }
+    }
+    
+    if (sessionAttributes.inSessionCreation && sessionAttributes.sessionCreationStep === 'confirmOverlap') {
+      try {
+        const attendanceKey = await getUserKey(handlerInput);
+        return await finishSessionCreation(handlerInput, attendanceKey, sessionAttributes.pendingEndDate);
+      } catch (error) {
+        console.error('Error creating overlapping session:', error);
+        return handlerInput.responseBuilder
+          .speak(t('create.error'))
           .getResponse();
       }
     }
@@ -1475,12 +6991,12 @@ const YesIntentHandler = {
       handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
       
       return handlerInput.responseBuilder
-        .speak('Great! What would you like to name this session? For example, "Summer 2024" or "Academic Year 2024-25".')
-        .reprompt('What should I call this session?')
+        .speak(t('create.startFromYes'))
+        .reprompt(t('create.whatName'))
         .getResponse();
     }
     
-    const speechText = 'Okay, what would you like to do next?';
+    const speechText = t('common.whatNextOkay');
     return handlerInput.responseBuilder
       .speak(speechText)
       .reprompt(speechText)
@@ -1498,16 +7014,24 @@ const NoIntentHandler = {
     if (sessionAttributes.pendingStatusChange) {
       delete sessionAttributes.pendingStatusChange;
     }
+    if (sessionAttributes.pendingSessionChange) {
+      delete sessionAttributes.pendingSessionChange;
+    }
+    if (sessionAttributes.pendingBackfill || sessionAttributes.backfill) {
+      delete sessionAttributes.pendingBackfill;
+      delete sessionAttributes.backfill;
+    }
     if (sessionAttributes.inSessionCreation) {
       delete sessionAttributes.inSessionCreation;
       delete sessionAttributes.sessionCreationStep;
       delete sessionAttributes.pendingSessionName;
       delete sessionAttributes.pendingStartDate;
+      delete sessionAttributes.pendingEndDate;
       delete sessionAttributes.shouldSetAsPreset;
     }
     handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
     
-    const speechText = 'Okay, I won\'t make any changes. Let me know if you need anything else.';
+    const speechText = getRequestTranslator(handlerInput)('common.noChanges');
     
     return handlerInput.responseBuilder
       .speak(speechText)
@@ -1521,7 +7045,7 @@ const HelpIntentHandler = {
            Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.HelpIntent';
   },
   handle(handlerInput) {
-    const speechText = 'You can mark your attendance by saying: "mark present", "mark absent", or "mark holiday for [holiday name]". You can also ask for "monthly attendance" or "session attendance" to get your percentage. To create a session, say "create session" or "create session Summer 2024". When asked for dates, you can say things like "June first 2024" or "2024-06-01". To switch sessions, say "use session [session name]" or "use session [session code]". You can also set an Alexa preset session by saying "set [session name] as Alexa preset". What would you like to do?';
+    const speechText = getRequestTranslator(handlerInput)('help.text');
     
     return handlerInput.responseBuilder
       .speak(speechText)
@@ -1537,7 +7061,7 @@ const CancelAndStopIntentHandler = {
             Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.StopIntent');
   },
   handle(handlerInput) {
-    const speechText = 'Goodbye! Have a great day!';
+    const speechText = getRequestTranslator(handlerInput)('common.goodbye');
     
     return handlerInput.responseBuilder
       .speak(speechText)
@@ -1551,7 +7075,7 @@ const FallbackIntentHandler = {
            Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.FallbackIntent';
   },
   handle(handlerInput) {
-    const speechText = 'Sorry, I didn\'t understand that. You can mark attendance, ask for percentages, or say help for more options. What would you like to do?';
+    const speechText = getRequestTranslator(handlerInput)('common.fallback');
     
     return handlerInput.responseBuilder
       .speak(speechText)
@@ -1576,10 +7100,11 @@ const ErrorHandler = {
   },
   handle(handlerInput, error) {
     console.log('Error handled:', error);
+    const t = getRequestTranslator(handlerInput);
     
     return handlerInput.responseBuilder
-      .speak('Sorry, I had trouble doing what you asked. Please try again.')
-      .reprompt('Please try again.')
+      .speak(t('common.error'))
+      .reprompt(t('common.tryAgain'))
       .getResponse();
   }
 };
@@ -1592,12 +7117,26 @@ const skillBuilder = Alexa.SkillBuilders.custom();
 const skill = skillBuilder
   .addRequestHandlers(
     LaunchRequestHandler,
+    BackfillAnswerHandler,
     MarkPresentIntentHandler,
     MarkAbsentIntentHandler,
+    MarkHalfDayIntentHandler,
+    MarkLateIntentHandler,
+    MarkOnDutyIntentHandler,
     MarkHolidayIntentHandler,
     MonthlyAttendanceIntentHandler,
+    CalendarDayTouchHandler,
     SessionAttendanceIntentHandler,
     GetAttendancePercentageIntentHandler,
+    PeriodAttendanceIntentHandler,
+    DayStatusIntentHandler,
+    LastStatusIntentHandler,
+    StatusCountIntentHandler,
+    StatusDaysIntentHandler,
+    UnmarkedDaysIntentHandler,
+    SetAttendanceTargetIntentHandler,
+    AbsencesAllowedIntentHandler,
+    PresentsNeededIntentHandler,
     SetAlexaPresetIntentHandler,
     GetAlexaPresetIntentHandler,
     ClearAlexaPresetIntentHandler,
@@ -1606,6 +7145,28 @@ const skill = skillBuilder
     CreateSessionWithNameIntentHandler,
     DateIntentHandler,
     ListSessionsIntentHandler,
+    RenameSessionIntentHandler,
+    ChangeSessionDatesIntentHandler,
+    ArchiveSessionIntentHandler,
+    DeleteSessionIntentHandler,
+    AddSubjectIntentHandler,
+    ListSubjectsIntentHandler,
+    SubjectAttendanceIntentHandler,
+    SetStatusWeightIntentHandler,
+    SetUnmarkedPolicyIntentHandler,
+    SetDaysOffIntentHandler,
+    GetDaysOffIntentHandler,
+    SetOffDayRuleIntentHandler,
+    RemoveOffDayRuleIntentHandler,
+    ListHolidaysIntentHandler,
+    NextHolidayIntentHandler,
+    RemoveHolidayIntentHandler,
+    RenameHolidayIntentHandler,
+    SetReminderIntentHandler,
+    ListRemindersIntentHandler,
+    CancelRemindersIntentHandler,
+    UndoIntentHandler,
+    ChangeHistoryIntentHandler,
     YesIntentHandler,
     NoIntentHandler,
     HelpIntentHandler,
@@ -1613,9 +7174,405 @@ const skill = skillBuilder
     FallbackIntentHandler,
     SessionEndedRequestHandler
   )
+  .addRequestInterceptors(LocalizationRequestInterceptor, TimeZoneRequestInterceptor, UserRequestInterceptor, BackfillRequestInterceptor)
   .addErrorHandlers(ErrorHandler)
+  .withApiClient(new Alexa.DefaultApiClient())
   .create();
 
+// ============================================================
+// HTTP AUTHENTICATION
+// ============================================================
+
+// Express middleware for web app requests: verifies the Firebase ID token in
+// the Authorization header and resolves req.attendanceKey the same way the
+// skill does for linked accounts
+async function authenticateRequest(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    return res.status(401).json({ error: 'Missing Firebase ID token' });
+  }
+  
+  try {
+    await ensureFirebaseInitialized();
+    const decodedToken = await admin.auth().verifyIdToken(match[1]);
+    req.uid = decodedToken.uid;
+    req.attendanceKey = await getAttendanceKey(decodedToken.uid);
+    next();
+  } catch (error) {
+    console.error('Error verifying Firebase ID token:', error);
+    return res.status(401).json({ error: 'Invalid Firebase ID token' });
+  }
+}
+
+// Request body as text, whether or not the JSON middleware already read it
+async function readBodyText(req) {
+  if (req.rawBody !== undefined) return req.rawBody.toString();
+  return getRawBody(req, {
+    length: req.headers['content-length'],
+    limit: '1mb',
+    encoding: 'utf8'
+  });
+}
+
+// ============================================================
+// REST API
+// ============================================================
+
+// JSON API for the companion web app, mounted at /api/v1. Every route runs
+// the same functions as the intent handlers, with changes recorded in the
+// history as coming from the web app.
+const apiRouter = express.Router();
+
+// Longest range GET /days returns at once
+const MAX_API_DAYS = 366;
+
+// The JSON middleware below only reads bodies sent as exactly
+// application/json; browsers often add a charset
+async function parseJsonBody(req, res, next) {
+  if (req.body !== undefined) return next();
+  
+  if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+    req.body = {};
+    return next();
+  }
+  
+  try {
+    const text = await readBodyText(req);
+    req.body = text ? JSON.parse(text) : {};
+    next();
+  } catch (error) {
+    console.error('Error parsing body:', error);
+    return res.status(400).json({ error: 'Bad Request - Invalid JSON' });
+  }
+}
+
+// Wrap an async route so failures become a 500 with a JSON error
+function apiRoute(description, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Error in API ${description}:`, error);
+      res.status(500).json({ error: `Failed to ${description}` });
+    }
+  };
+}
+
+// Send a { success, error } result from the business logic
+function sendResult(res, result, status = 200) {
+  if (result.success === false) {
+    return res.status(/not found/i.test(result.error) ? 404 : 400).json({ error: result.error });
+  }
+  const { success, ...body } = result;
+  return res.status(status).json(body);
+}
+
+function sendError(res, status, error) {
+  return res.status(status).json({ error });
+}
+
+// A day as the API returns it
+function toApiDay(userData, date, subject = null) {
+  const dayStatus = getDayStatusFromData(userData, date, subject && subject.code);
+  return {
+    date,
+    status: dayStatus ? dayStatus.status || dayStatus : null,
+    holidayName: dayStatus && dayStatus.status === 'holiday' ? dayStatus.name : null,
+    workingDay: isCountableDay(date, userData)
+  };
+}
+
+// Status from a request body: a record status, "holiday", "not-enrolled"
+// or null to clear the day. Returns undefined when it isn't one of those.
+function parseApiStatus(value) {
+  if (value === null) return null;
+  if (value === 'holiday' || value === 'not-enrolled') return value;
+  return normalizeStatus(value) || undefined;
+}
+
+// Resolve the optional `subject` of a request, or send a 404/400 and
+// return false
+function resolveApiSubject(res, userData, subjectName, status) {
+  if (!subjectName) return null;
+  
+  const subject = findSubject(userData, subjectName);
+  if (!subject) {
+    sendError(res, 404, 'Subject not found');
+    return false;
+  }
+  if (status && !RECORD_STATUSES.includes(status)) {
+    sendError(res, 400, 'Subjects can only be marked with an attendance status');
+    return false;
+  }
+  return subject;
+}
+
+apiRouter.use(authenticateRequest, parseJsonBody);
+
+// Days from ?from= to ?to=, the current month by default
+apiRouter.get('/days', apiRoute('list days', async (req, res) => {
+  const settings = await getUserSettings(req.attendanceKey);
+  const yearMonth = getYearMonthFromDate(null, settings.timeZone);
+  const [year, month] = yearMonth.split('-').map(Number);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const startDate = req.query.from || `${yearMonth}-01`;
+  const endDate = req.query.to || `${yearMonth}-${String(daysInMonth).padStart(2, '0')}`;
+  
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate) || startDate > endDate) {
+    return sendError(res, 400, 'Give from and to as YYYY-MM-DD, with from before to');
+  }
+  if (addDays(startDate, MAX_API_DAYS - 1) < endDate) {
+    return sendError(res, 400, `At most ${MAX_API_DAYS} days can be listed at once`);
+  }
+  
+  const userData = await addDayData(req.attendanceKey, settings, getMonthsInRange(startDate, endDate));
+  const subject = resolveApiSubject(res, userData, req.query.subject);
+  if (subject === false) return;
+  
+  res.status(200).json({
+    days: getDatesInRange(startDate, endDate).map(date => toApiDay(userData, date, subject))
+  });
+}));
+
+apiRouter.get('/days/:date', apiRoute('get day', async (req, res) => {
+  if (!DATE_PATTERN.test(req.params.date)) {
+    return sendError(res, 400, 'Dates must be in YYYY-MM-DD format');
+  }
+  
+  const userData = await getUserData(req.attendanceKey, [req.params.date.substring(0, 7)]);
+  const subject = resolveApiSubject(res, userData, req.query.subject);
+  if (subject === false) return;
+  
+  res.status(200).json(toApiDay(userData, req.params.date, subject));
+}));
+
+// Set one day: { status, holidayName, subject }. A null status clears it.
+apiRouter.put('/days/:date', apiRoute('mark day', async (req, res) => {
+  const { date } = req.params;
+  const status = parseApiStatus(req.body.status);
+  if (status === undefined) {
+    return sendError(res, 400, 'Unknown status');
+  }
+  
+  if (!DATE_PATTERN.test(date)) {
+    return sendError(res, 400, 'Dates must be in YYYY-MM-DD format');
+  }
+  
+  const userData = await getUserData(req.attendanceKey, [date.substring(0, 7)]);
+  const subject = resolveApiSubject(res, userData, req.body.subject, status);
+  if (subject === false) return;
+  
+  if (status) {
+    const dateError = checkMarkDate(date, status, userData.timeZone);
+    if (dateError) return sendError(res, 400, dateError);
+  }
+  
+  if (RECORD_STATUSES.includes(status)) {
+    const dayError = checkDayRules(userData, date, subject, userData.timeZone);
+    if (dayError) return sendError(res, 400, dayError);
+  }
+  
+  const result = await setDayStatus(req.attendanceKey, date, status, {
+    holidayName: req.body.holidayName,
+    subject: subject && subject.code,
+    source: CHANGE_SOURCE_WEB
+  });
+  
+  const updated = await getUserData(req.attendanceKey, [date.substring(0, 7)]);
+  res.status(200).json({ ...toApiDay(updated, date, subject), changeId: result.changeId });
+}));
+
+apiRouter.delete('/days/:date', apiRoute('clear day', async (req, res) => {
+  if (!DATE_PATTERN.test(req.params.date)) {
+    return sendError(res, 400, 'Dates must be in YYYY-MM-DD format');
+  }
+  
+  const userData = await getUserSettings(req.attendanceKey);
+  const subject = resolveApiSubject(res, userData, req.query.subject);
+  if (subject === false) return;
+  
+  const result = await setDayStatus(req.attendanceKey, req.params.date, null, {
+    subject: subject && subject.code,
+    source: CHANGE_SOURCE_WEB
+  });
+  res.status(200).json({ date: req.params.date, changeId: result.changeId });
+}));
+
+// Mark every working day in a range: { startDate, endDate, status, holidayName, subject }
+apiRouter.post('/days/range', apiRoute('mark range', async (req, res) => {
+  const { startDate, endDate } = req.body;
+  const status = parseApiStatus(req.body.status);
+  if (!status) {
+    return sendError(res, 400, 'Unknown status');
+  }
+  if (!startDate || !endDate) {
+    return sendError(res, 400, 'Both startDate and endDate are required');
+  }
+  
+  const settings = await getUserSettings(req.attendanceKey);
+  const subject = resolveApiSubject(res, settings, req.body.subject, status);
+  if (subject === false) return;
+  
+  const error = checkMarkRange(startDate, endDate, status, settings.timeZone);
+  if (error) return sendError(res, 400, error);
+  
+  const userData = await addDayData(req.attendanceKey, settings, getMonthsInRange(startDate, endDate));
+  const dates = getMarkableDates(userData, startDate, endDate, subject);
+  if (dates.length === 0) {
+    return sendError(res, 400, 'There are no working days in that range');
+  }
+  
+  const result = await setDaysStatus(req.attendanceKey, dates, status, {
+    holidayName: req.body.holidayName,
+    subject: subject && subject.code,
+    source: CHANGE_SOURCE_WEB
+  });
+  res.status(200).json({ dates, changeId: result.changeId });
+}));
+
+apiRouter.get('/history', apiRoute('list history', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  res.status(200).json({ changes: await getRecentChanges(req.attendanceKey, limit) });
+}));
+
+apiRouter.post('/history/undo', apiRoute('undo', async (req, res) => {
+  sendResult(res, await undoLastChange(req.attendanceKey, CHANGE_SOURCE_WEB));
+}));
+
+// Archived sessions are included with ?archived=true
+apiRouter.get('/sessions', apiRoute('list sessions', async (req, res) => {
+  res.status(200).json({ sessions: await getAvailableSessions(req.attendanceKey, req.query.archived === 'true') });
+}));
+
+// Create or replace a session: { name, startDate, endDate, select }
+apiRouter.post('/sessions', apiRoute('save session', async (req, res) => {
+  const { name, startDate, endDate, select } = req.body;
+  if (!name || !String(name).trim()) {
+    return sendError(res, 400, 'A session name is required');
+  }
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || startDate > endDate) {
+    return sendError(res, 400, 'Give startDate and endDate as YYYY-MM-DD, with startDate first');
+  }
+  
+  // Overlaps are allowed, but reported so the web app can warn about them
+  const overlapping = findOverlappingSessions(await getAvailableSessions(req.attendanceKey), startDate, endDate, String(name).trim());
+  const session = await saveSession(req.attendanceKey, String(name).trim(), startDate, endDate, select === true);
+  res.status(201).json({ session, overlapping });
+}));
+
+// Make a session (by code or name) the one Alexa reports on
+apiRouter.post('/sessions/:session/select', apiRoute('select session', async (req, res) => {
+  sendResult(res, await setAlexaPresetSession(req.attendanceKey, req.params.session));
+}));
+
+apiRouter.delete('/sessions/selection', apiRoute('clear session selection', async (req, res) => {
+  sendResult(res, await clearAlexaPresetSession(req.attendanceKey));
+}));
+
+// Rename, move or archive a session: { name, startDate, endDate, archived }
+apiRouter.patch('/sessions/:session', apiRoute('update session', async (req, res) => {
+  const { name, startDate, endDate, archived } = req.body;
+  const result = await updateSession(req.attendanceKey, req.params.session, { name, startDate, endDate, archived });
+  if (result.success && !result.session.archived) {
+    // Reported like when saving, so the web app can warn about moved sessions
+    const { session } = result;
+    const settings = await getUserSettings(req.attendanceKey);
+    const endDate = session.endDate || getFormattedDate(new Date(), settings.timeZone);
+    result.overlapping = findOverlappingSessions(settings.sessions || [], session.startDate, endDate, session.name);
+  }
+  sendResult(res, result);
+}));
+
+apiRouter.delete('/sessions/:session', apiRoute('delete session', async (req, res) => {
+  sendResult(res, await deleteSession(req.attendanceKey, req.params.session));
+}));
+
+// Attendance target: { targetPercentage, session }. Without a session it
+// applies to the selected session, or is the default when none is selected.
+apiRouter.put('/target', apiRoute('set target', async (req, res) => {
+  const targetPercentage = Number(req.body.targetPercentage);
+  if (!(targetPercentage > 0 && targetPercentage <= 100)) {
+    return sendError(res, 400, 'targetPercentage must be between 1 and 100');
+  }
+  sendResult(res, await setSessionTarget(req.attendanceKey, targetPercentage, req.body.session || null));
+}));
+
+// ?month=YYYY-MM for a month, otherwise the selected (or ?session=) session;
+// either can be narrowed to ?subject=
+apiRouter.get('/stats', apiRoute('calculate stats', async (req, res) => {
+  const { month, session, subject } = req.query;
+  
+  if (month) {
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return sendError(res, 400, 'month must be in YYYY-MM format');
+    }
+    return sendResult(res, await calculateMonthlyAttendance(req.attendanceKey, month, subject || null));
+  }
+  
+  const result = await calculateSessionAttendance(req.attendanceKey, session || null, subject || null);
+  if (result.success && result.targetPercentage) {
+    result.projection = projectAttendance(result, result.targetPercentage);
+  }
+  sendResult(res, result);
+}));
+
+apiRouter.get('/subjects', apiRoute('list subjects', async (req, res) => {
+  res.status(200).json({ subjects: await getSubjects(req.attendanceKey) });
+}));
+
+apiRouter.post('/subjects', apiRoute('add subject', async (req, res) => {
+  const name = req.body.name && String(req.body.name).trim();
+  if (!name) {
+    return sendError(res, 400, 'A subject name is required');
+  }
+  
+  const result = await addSubject(req.attendanceKey, name);
+  if (result.error === 'Subject already exists') {
+    return res.status(409).json({ error: result.error, subject: result.subject });
+  }
+  sendResult(res, result, 201);
+}));
+
+apiRouter.get('/settings', apiRoute('get settings', async (req, res) => {
+  const userData = await getUserSettings(req.attendanceKey);
+  res.status(200).json({
+    timeZone: userData.timeZone || null,
+    targetPercentage: userData.targetPercentage || null,
+    statusWeights: getStatusWeights(userData),
+    daysOff: getDaysOff(userData),
+    offDayRules: userData.offDayRules || [],
+    unmarkedPolicy: getUnmarkedPolicy(userData)
+  });
+}));
+
+// What unmarked working days count as: { unmarkedPolicy: 'absent' | 'exclude' }
+apiRouter.put('/settings/unmarked-policy', apiRoute('set unmarked policy', async (req, res) => {
+  sendResult(res, await setUnmarkedPolicy(req.attendanceKey, req.body.unmarkedPolicy));
+}));
+
+// Off-day rules, replacing the current ones:
+// { offDayRules: [{ type: 'nth-weekday', weekday: 6, weeks: [2, 4] }] }
+apiRouter.put('/settings/off-day-rules', apiRoute('set off-day rules', async (req, res) => {
+  if (!Array.isArray(req.body.offDayRules)) {
+    return sendError(res, 400, 'offDayRules must be a list of rules');
+  }
+  sendResult(res, await setOffDayRules(req.attendanceKey, req.body.offDayRules));
+}));
+
+// Weekly days off: { daysOff: [5, 6] } with 0 = Sunday
+apiRouter.put('/settings/days-off', apiRoute('set days off', async (req, res) => {
+  if (!Array.isArray(req.body.daysOff)) {
+    return sendError(res, 400, 'daysOff must be a list of days, 0 = Sunday');
+  }
+  sendResult(res, await setDaysOff(req.attendanceKey, req.body.daysOff));
+}));
+
+// How much a partial status counts as present: { weight } from 0 to 1
+apiRouter.put('/settings/weights/:status', apiRoute('set status weight', async (req, res) => {
+  const status = normalizeStatus(req.params.status);
+  sendResult(res, await setStatusWeight(req.attendanceKey, status, Number(req.body.weight)));
+}));
+
 // ============================================================
 // EXPRESS SERVER SETUP
 // ============================================================
@@ -1643,6 +7600,97 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Holiday import: an iCalendar file (Content-Type: text/calendar) or a
+// built-in list, e.g. {"calendar": "in-national", "year": 2026}
+app.post('/holidays/import', authenticateRequest, async (req, res) => {
+  try {
+    const overwrite = req.query.overwrite === 'true' || (req.body && req.body.overwrite === true);
+    let entries;
+    let skipped = 0;
+    
+    if ((req.headers['content-type'] || '').startsWith('text/calendar')) {
+      const parsed = parseIcsHolidays(await readBodyText(req));
+      entries = parsed.holidays;
+      skipped = parsed.skipped;
+    } else {
+      const { calendar, year } = { ...req.query, ...(req.body || {}) };
+      const builtIn = HOLIDAY_CALENDARS[calendar];
+      if (!builtIn) {
+        return res.status(400).json({
+          error: 'Send an iCalendar file or name a built-in calendar',
+          calendars: Object.keys(HOLIDAY_CALENDARS)
+        });
+      }
+      const timeZone = (await getUserSettings(req.attendanceKey)).timeZone;
+      const importYear = Number(year) || Number(getFormattedDate(new Date(), timeZone).substring(0, 4));
+      entries = builtIn.getHolidays(importYear);
+    }
+    
+    if (entries.length > MAX_IMPORT_DAYS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_DAYS} days can be imported at once` });
+    }
+    
+    const result = await importHolidays(req.attendanceKey, entries, { overwrite });
+    res.status(200).json({ ...result, skipped });
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+    res.status(500).json({ error: 'Failed to import holidays' });
+  }
+});
+
+// Exports accept ?from=YYYY-MM-DD&to=YYYY-MM-DD and ?session=<name or code>
+app.get('/export/attendance.csv', authenticateRequest, async (req, res) => {
+  try {
+    const data = await loadExport(req, res);
+    if (!data) return;
+    
+    const rows = buildExportRows(data.userData, data.startDate, data.endDate);
+    setDownloadHeaders(res, 'text/csv; charset=utf-8', `attendance-${data.startDate}-to-${data.endDate}.csv`);
+    res.status(200).send(buildAttendanceCsv(rows));
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    res.status(500).json({ error: 'Failed to export attendance' });
+  }
+});
+
+app.get('/export/attendance.json', authenticateRequest, async (req, res) => {
+  try {
+    const data = await loadExport(req, res);
+    if (!data) return;
+    
+    const { success, ...summary } = countAttendanceWithSubjects(data.userData, data.startDate, data.endDate, null);
+    setDownloadHeaders(res, 'application/json; charset=utf-8', `attendance-${data.startDate}-to-${data.endDate}.json`);
+    res.status(200).json({
+      exportedAt: new Date().toISOString(),
+      startDate: data.startDate,
+      endDate: data.endDate,
+      session: data.session ? data.session.name : null,
+      summary,
+      attendance: filterDocumentToRange(data.userData, data.startDate, data.endDate)
+    });
+  } catch (error) {
+    console.error('Error exporting JSON:', error);
+    res.status(500).json({ error: 'Failed to export attendance' });
+  }
+});
+
+app.get('/export/calendar.ics', authenticateRequest, async (req, res) => {
+  try {
+    // Upcoming holidays belong in a calendar, so only cap the range when asked
+    const data = await loadExport(req, res, { openEnded: true });
+    if (!data) return;
+    
+    setDownloadHeaders(res, 'text/calendar; charset=utf-8', 'attendance.ics');
+    res.status(200).send(buildAttendanceIcs(data.userData, data.startDate, data.endDate));
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({ error: 'Failed to export calendar' });
+  }
+});
+
+// JSON API for the web app
+app.use('/api/v1', apiRouter);
+
 // Alexa endpoint
 app.post('*', adapter.getRequestHandlers());
 
@@ -1657,3 +7705,14 @@ app.get('*', (req, res) => {
 
 // Export for Vercel
 module.exports = app;
+// Used by the tests in test/, which run against a memory store
+module.exports.skill = skill;
+module.exports.setRemindersClientFactory = setRemindersClientFactory;
+module.exports.setStore = setStore;
+module.exports.createMemoryStore = createMemoryStore;
+module.exports.getUserData = getUserData;
+module.exports.setDayStatus = setDayStatus;
+module.exports.saveSession = saveSession;
+module.exports.undoLastChange = undoLastChange;
+module.exports.importHolidays = importHolidays;
+module.exports.resolveDurationPeriod = resolveDurationPeriod;
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const PROJECT_ID = 'attendance-test';
+const UID = 'google-uid';
+const KEY = 'test-user';
+
+// Stand-in for the Firebase Auth emulator. With the emulator configured,
+// firebase-admin accepts unsigned ID tokens and only looks the user up here.
+const authEmulator = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ users: [{ localId: UID }] }));
+  });
+});
+
+let alexa;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await new Promise(resolve => authEmulator.listen(0, '127.0.0.1', resolve));
+  process.env.FIREBASE_AUTH_EMULATOR_HOST = `127.0.0.1:${authEmulator.address().port}`;
+  require('firebase-admin').initializeApp({ projectId: PROJECT_ID });
+
+  alexa = require('../api/alexa.js');
+  server = alexa.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  authEmulator.close();
+});
+
+// Memory store with a Google user whose attendance has the given settings
+// and month documents
+function useStore(settings = {}, months = {}) {
+  const store = alexa.createMemoryStore({
+    credentials: { [UID]: { type: 'google', key: KEY } },
+    attendance: { [KEY]: { settings, months, history: {} } }
+  });
+  alexa.setStore(store);
+  return store;
+}
+
+function idToken() {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({
+    aud: PROJECT_ID,
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    sub: UID,
+    iat: now,
+    auth_time: now,
+    exp: now + 3600
+  })}.`;
+}
+
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${idToken()}`,
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+  });
+  const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+  return { status: response.status, body: isJson ? await response.json() : await response.text() };
+}
+
+test('marking a subject for a range includes days marked for the whole day', async () => {
+  useStore({
+    daysOff: [0, 6],
+    subjects: [{ name: 'Physics', code: 'physics' }]
+  }, {
+    '2026-03': {
+      records: { '2026-03-03': true, '2026-03-04': false },
+      holidays: [{ date: '2026-03-05', name: 'Holi' }]
+    }
+  });
+
+  const { status, body } = await request('POST', '/api/v1/days/range', {
+    startDate: '2026-03-02',
+    endDate: '2026-03-06',
+    status: 'present',
+    subject: 'physics'
+  });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.dates, ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-06']);
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, { '2026-03-03': true, '2026-03-04': false });
+});
+
+test('selecting an archived session is refused', async () => {
+  useStore({
+    sessions: [{ name: 'Spring', code: 'spring', startDate: '2026-01-01', endDate: '2026-05-31', archived: true }]
+  });
+
+  const { status, body } = await request('POST', '/api/v1/sessions/spring/select');
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'Session is archived');
+});
+
+test('holidays more than a year ahead are left out of an import', async () => {
+  useStore();
+  const year = new Date().getFullYear() + 2;
+
+  const { status, body } = await request('POST', '/holidays/import', { calendar: 'in-national', year });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.imported, []);
+  assert.deepStrictEqual(body.tooFar.map(h => h.date), [`${year}-01-26`, `${year}-08-15`, `${year}-10-02`]);
+});
+
+test('the exported overall attendance sums the subjects without rounding noise', async () => {
+  useStore({
+    daysOff: [],
+    unmarkedPolicy: 'exclude',
+    statusWeights: { late: 0.1, 'half-day': 0.2 },
+    subjects: [{ name: 'Physics', code: 'physics' }, { name: 'Chemistry', code: 'chemistry' }]
+  }, {
+    '2026-03': {
+      subjectRecords: {
+        physics: { '2026-03-02': 'late' },
+        chemistry: { '2026-03-02': 'half-day' }
+      }
+    }
+  });
+
+  const { status, body } = await request('GET', '/export/attendance.json?from=2026-03-01&to=2026-03-31');
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.summary.overall, { percentage: 15, presentDays: 0.3, totalWorkingDays: 2 });
+});
+
+test('the calendar feed reads only the months from its start date on', async () => {
+  const store = useStore({}, {
+    '2026-01': { holidays: [{ date: '2026-01-26', name: 'Republic Day' }] },
+    '2026-04': { holidays: [{ date: '2026-04-03', name: 'Good Friday' }] }
+  });
+  const monthsRead = [];
+  alexa.setStore({
+    ...store,
+    async getMonths(key, months) {
+      monthsRead.push(months);
+      return store.getMonths(key, months);
+    }
+  });
+
+  const { status, body } = await request('GET', '/export/calendar.ics?from=2026-03-01');
+
+  assert.strictEqual(status, 200);
+  assert.match(body, /SUMMARY:Good Friday/);
+  assert.doesNotMatch(body, /Republic Day/);
+  assert.strictEqual(monthsRead.length, 1);
+  assert.strictEqual(monthsRead[0][0], '2026-03');
+});
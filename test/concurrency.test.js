@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const alexa = require('../api/alexa.js');
+
+const KEY = 'test-user';
+
+// Memory store whose plain reads wait a little, so two requests that read
+// and then write outside a transaction would overwrite each other
+function createSlowStore() {
+  const store = alexa.createMemoryStore();
+  const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  return {
+    ...store,
+    async getAttendance(key) {
+      const data = await store.getAttendance(key);
+      await wait();
+      return data;
+    },
+    async getMonths(key, months) {
+      const data = await store.getMonths(key, months);
+      await wait();
+      return data;
+    },
+    async getRecentHistory(key, limit) {
+      const data = await store.getRecentHistory(key, limit);
+      await wait();
+      return data;
+    }
+  };
+}
+
+test.beforeEach(() => {
+  alexa.setStore(createSlowStore());
+});
+
+test('marking two days at the same moment keeps both', async () => {
+  await Promise.all([
+    alexa.setDayStatus(KEY, '2026-03-02', 'present'),
+    alexa.setDayStatus(KEY, '2026-03-03', 'absent')
+  ]);
+
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, { '2026-03-02': true, '2026-03-03': false });
+});
+
+test('saving two sessions at the same moment keeps both', async () => {
+  await Promise.all([
+    alexa.saveSession(KEY, 'Spring', '2026-01-01', '2026-05-31'),
+    alexa.saveSession(KEY, 'Autumn', '2026-08-01', '2026-12-31')
+  ]);
+
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.sessions.map(s => s.name).sort(), ['Autumn', 'Spring']);
+});
+
+test('marking a day while saving a session keeps both', async () => {
+  await Promise.all([
+    alexa.setDayStatus(KEY, '2026-03-02', 'present'),
+    alexa.saveSession(KEY, 'Spring', '2026-01-01', '2026-05-31', true)
+  ]);
+
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, { '2026-03-02': true });
+  assert.strictEqual(userData.sessions.length, 1);
+  assert.strictEqual(userData.sessions[0].isSelected, true);
+});
+
+test('two undos at the same moment revert two different changes', async () => {
+  await alexa.setDayStatus(KEY, '2026-03-02', 'present');
+  await alexa.setDayStatus(KEY, '2026-03-02', 'absent');
+
+  const results = await Promise.all([
+    alexa.undoLastChange(KEY),
+    alexa.undoLastChange(KEY)
+  ]);
+
+  assert.ok(results.every(result => result.success));
+  assert.notStrictEqual(results[0].undone.id, results[1].undone.id);
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, {});
+});
+
+test('a second undo of a single change has nothing to undo', async () => {
+  await alexa.setDayStatus(KEY, '2026-03-02', 'present');
+
+  const results = await Promise.all([
+    alexa.undoLastChange(KEY),
+    alexa.undoLastChange(KEY)
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.success).sort(), [false, true]);
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, {});
+});
+
+test('a day marked during a holiday import is kept and reported as a conflict', async () => {
+  const [, result] = await Promise.all([
+    alexa.setDayStatus(KEY, '2026-03-02', 'present'),
+    alexa.importHolidays(KEY, [
+      { date: '2026-03-02', name: 'Festival' },
+      { date: '2026-03-03', name: 'Festival' }
+    ])
+  ]);
+
+  assert.deepStrictEqual(result.imported.map(h => h.date), ['2026-03-03']);
+  assert.deepStrictEqual(result.conflicts.map(h => h.date), ['2026-03-02']);
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, { '2026-03-02': true });
+  assert.deepStrictEqual(userData.holidays, [{ date: '2026-03-03', name: 'Festival' }]);
+});
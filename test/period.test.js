@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const alexa = require('../api/alexa.js');
+
+const startOf = (duration, today) => alexa.resolveDurationPeriod(duration, today).startDate;
+
+test('a duration ends today and starts the day after going back by it', () => {
+  assert.deepStrictEqual(alexa.resolveDurationPeriod('P2W', '2026-10-19'), { startDate: '2026-10-06', endDate: '2026-10-19' });
+  assert.strictEqual(startOf('P10D', '2026-10-19'), '2026-10-10');
+  assert.strictEqual(startOf('P1M', '2026-03-15'), '2026-02-16');
+  assert.strictEqual(startOf('P1Y', '2026-10-19'), '2025-10-20');
+});
+
+test('going back by months keeps to the end of shorter months', () => {
+  assert.strictEqual(startOf('P1M', '2026-03-31'), '2026-03-01');
+  assert.strictEqual(startOf('P1M', '2026-03-30'), '2026-03-01');
+  assert.strictEqual(startOf('P1M', '2026-05-31'), '2026-05-01');
+  assert.strictEqual(startOf('P3M', '2026-05-31'), '2026-03-01');
+  assert.strictEqual(startOf('P1M', '2028-03-31'), '2028-03-01');
+  assert.strictEqual(startOf('P1M2D', '2026-03-31'), '2026-02-27');
+});
+
+test('going back across a year end lands in the right year', () => {
+  assert.strictEqual(startOf('P1M', '2026-01-31'), '2026-01-01');
+  assert.strictEqual(startOf('P2M', '2026-01-15'), '2025-11-16');
+  assert.strictEqual(startOf('P14M', '2026-02-28'), '2024-12-29');
+});
+
+test('a year before February 29th is February 28th', () => {
+  assert.strictEqual(startOf('P1Y', '2028-02-29'), '2027-03-01');
+  assert.strictEqual(startOf('P4Y', '2028-02-29'), '2024-03-01');
+});
+
+test('durations without whole days are not periods', () => {
+  assert.strictEqual(alexa.resolveDurationPeriod('PT2H', '2026-10-19'), null);
+  assert.strictEqual(alexa.resolveDurationPeriod('P', '2026-10-19'), null);
+  assert.strictEqual(alexa.resolveDurationPeriod(null, '2026-10-19'), null);
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const alexa = require('../api/alexa.js');
+
+const USER_ID = 'amzn1.ask.account.TEST';
+const KEY = 'test-user';
+
+// Memory store with a linked Alexa user, so no profile lookup is needed
+function createLinkedStore(attendance = {}, months = {}) {
+  return alexa.createMemoryStore({
+    credentials: {
+      [`alexa-${USER_ID}`]: { alexaUserId: USER_ID, type: 'alexa', key: KEY, linkedGoogleUid: null, mappedToGoogle: false }
+    },
+    attendance: { [KEY]: { settings: attendance, months, history: {} } }
+  });
+}
+
+// Reminders client that keeps reminders in an array
+function createFakeReminders() {
+  const alerts = [];
+  return {
+    alerts,
+    client: {
+      async createReminder(reminder) {
+        const alert = { ...reminder, alertToken: `token-${alerts.length}`, status: 'ON' };
+        alerts.push(alert);
+        return alert;
+      },
+      async getReminders() {
+        return { alerts: alerts.slice(), totalCount: alerts.length };
+      },
+      async deleteReminder(alertToken) {
+        alerts.splice(alerts.findIndex(alert => alert.alertToken === alertToken), 1);
+      }
+    }
+  };
+}
+
+const TIME_ZONE = 'Asia/Kolkata';
+
+// Session attributes carried from one request to the next. The session
+// starts with a time zone, so the skill doesn't call the Alexa settings API.
+let sessionAttributes = {};
+
+test.beforeEach(() => {
+  sessionAttributes = { timeZone: TIME_ZONE, timeZoneLookedUp: true };
+});
+
+// YYYY-MM-DD date some days from today in the session's time zone
+function dayFromToday(days) {
+  const date = new Date(new Date().toLocaleDateString('en-CA', { timeZone: TIME_ZONE }) + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+}
+
+// Send an intent to the skill and return the speech
+async function ask(intentName, slots = {}, { locale = 'en-US', permissions = { consentToken: 'consent' } } = {}) {
+  const user = { userId: USER_ID, accessToken: 'token', permissions };
+  const envelope = {
+    version: '1.0',
+    session: {
+      new: false,
+      sessionId: 'session',
+      application: { applicationId: 'skill' },
+      attributes: sessionAttributes,
+      user
+    },
+    context: {
+      System: {
+        application: { applicationId: 'skill' },
+        user,
+        device: { deviceId: 'device', supportedInterfaces: {} },
+        apiEndpoint: 'https://api.amazonalexa.com',
+        apiAccessToken: 'api-token'
+      }
+    },
+    request: {
+      type: 'IntentRequest',
+      requestId: 'request',
+      timestamp: new Date().toISOString(),
+      locale,
+      intent: {
+        name: intentName,
+        confirmationStatus: 'NONE',
+        slots: Object.fromEntries(Object.entries(slots).map(([name, value]) => [name, { name, value }]))
+      }
+    }
+  };
+
+  const response = await alexa.skill.invoke(envelope);
+  sessionAttributes = response.sessionAttributes || {};
+  return response.response.outputSpeech.ssml.replace(/<\/?speak>/g, '');
+}
+
+test('setting a reminder repeats it on the working days', async () => {
+  const reminders = createFakeReminders();
+  alexa.setStore(createLinkedStore({ daysOff: [0, 6] }));
+  alexa.setRemindersClientFactory(() => reminders.client);
+
+  const speech = await ask('SetReminderIntent', { time: '18:30' });
+
+  assert.strictEqual(speech, 'Okay, I\'ll remind you to mark your attendance at 6:30 PM, Monday to Friday.');
+  assert.strictEqual(reminders.alerts.length, 1);
+  const [rule] = reminders.alerts[0].trigger.recurrence.recurrenceRules;
+  assert.match(rule, /^FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=18;BYMINUTE=30;/);
+  assert.strictEqual(reminders.alerts[0].trigger.timeZoneId, 'Asia/Kolkata');
+});
+
+test('setting a reminder says it still fires on days off under off-day rules', async () => {
+  const reminders = createFakeReminders();
+  alexa.setStore(createLinkedStore({
+    daysOff: [0],
+    offDayRules: [{ type: 'nth-weekday', weekday: 6, weeks: [2, 4] }]
+  }));
+  alexa.setRemindersClientFactory(() => reminders.client);
+
+  const speech = await ask('SetReminderIntent', { time: '18:00' });
+
+  assert.match(speech, /Monday to Saturday\./);
+  assert.match(speech, /you'll still get one on the second and fourth Saturday of every month/);
+});
+
+test('reminders can be listed and cancelled', async () => {
+  const reminders = createFakeReminders();
+  alexa.setStore(createLinkedStore());
+  alexa.setRemindersClientFactory(() => reminders.client);
+
+  await ask('SetReminderIntent', { time: '09:00' });
+  assert.match(await ask('ListRemindersIntent'), /^You have 1 attendance reminder: at 9 AM/);
+
+  await ask('CancelRemindersIntent');
+  assert.strictEqual(reminders.alerts.length, 0);
+  assert.match(await ask('ListRemindersIntent'), /^You don't have any attendance reminders\./);
+});
+
+test('setting a reminder without permission asks for it', async () => {
+  const reminders = createFakeReminders();
+  alexa.setStore(createLinkedStore());
+  alexa.setRemindersClientFactory(() => reminders.client);
+
+  const speech = await ask('SetReminderIntent', { time: '18:00' }, { permissions: null });
+
+  assert.match(speech, /please allow reminders/);
+  assert.strictEqual(reminders.alerts.length, 0);
+});
+
+test('leaving a backfill for another question ends it', async () => {
+  alexa.setStore(createLinkedStore({
+    daysOff: [],
+    sessions: [{ name: 'Term', code: 'term', startDate: dayFromToday(-10), endDate: dayFromToday(10), isSelected: true }]
+  }));
+
+  await ask('UnmarkedDaysIntent');
+  await ask('AMAZON.YesIntent');
+  assert.match(await ask('MarkAbsentIntent'), / marked as absent\./);
+
+  await ask('MonthlyAttendanceIntent');
+  await ask('MarkPresentIntent');
+
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(userData.records, { [dayFromToday(-10)]: false, [dayFromToday(0)]: true });
+});
+
+test('marking a subject for a range includes days marked for the whole day', async () => {
+  alexa.setStore(createLinkedStore({
+    daysOff: [0, 6],
+    subjects: [{ name: 'Physics', code: 'physics' }]
+  }, {
+    '2026-03': {
+      records: { '2026-03-03': true, '2026-03-04': false },
+      holidays: [{ date: '2026-03-05', name: 'Holi' }]
+    }
+  }));
+
+  assert.match(await ask('MarkPresentIntent', { subject: 'physics', startDate: '2026-03-02', endDate: '2026-03-06' }), /4 working days/);
+  await ask('AMAZON.YesIntent');
+
+  const userData = await alexa.getUserData(KEY);
+  assert.deepStrictEqual(Object.keys(userData.subjectRecords.physics).sort(), ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-06']);
+});
+
+test('an archived session can\'t be made the Alexa preset', async () => {
+  alexa.setStore(createLinkedStore({
+    sessions: [{ name: 'Spring', code: 'spring', startDate: '2026-01-01', endDate: '2026-05-31', archived: true }]
+  }));
+
+  assert.match(await ask('SetAlexaPresetIntent', { sessionName: 'Spring' }), /^Spring is archived/);
+
+  const userData = await alexa.getUserData(KEY);
+  assert.strictEqual(userData.sessions[0].isSelected, undefined);
+});
+
+test('the target warning is only said when an absence drops the session below its target', async () => {
+  alexa.setStore(createLinkedStore({
+    daysOff: [],
+    unmarkedPolicy: 'exclude',
+    sessions: [{ name: 'Term', code: 'term', startDate: dayFromToday(-10), endDate: dayFromToday(10), isSelected: true, targetPercentage: 75 }]
+  }));
+  for (const days of [-3, -2, -1]) {
+    await alexa.setDayStatus(KEY, dayFromToday(days), 'present');
+  }
+
+  assert.doesNotMatch(await ask('MarkAbsentIntent', { date: dayFromToday(-20) }), /Heads up/);
+  assert.doesNotMatch(await ask('MarkAbsentIntent', { date: dayFromToday(-4) }), /Heads up/);
+  assert.match(await ask('MarkAbsentIntent', { date: dayFromToday(-5) }), /Heads up: your attendance for Term is now 60 percent/);
+  assert.doesNotMatch(await ask('MarkAbsentIntent', { date: dayFromToday(-6) }), /Heads up/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const alexa = require('../api/alexa.js');
+
+const KEY = 'test-user';
+
+test('the memory store hands out copies', async () => {
+  const store = alexa.createMemoryStore();
+  await store.updateAttendance(KEY, { sessions: [{ name: 'Spring' }] });
+
+  const settings = await store.getAttendance(KEY);
+  settings.sessions.push({ name: 'Autumn' });
+
+  assert.deepStrictEqual((await store.getAttendance(KEY)).sessions, [{ name: 'Spring' }]);
+});
+
+test('an undefined field removes it from the settings document', async () => {
+  const store = alexa.createMemoryStore();
+  await store.updateAttendance(KEY, { timeZone: 'Asia/Kolkata', targetPercentage: 75 });
+  await store.updateAttendance(KEY, { targetPercentage: undefined });
+
+  assert.deepStrictEqual(await store.getAttendance(KEY), { timeZone: 'Asia/Kolkata' });
+});
+
+test('months without a document are left out', async () => {
+  const store = alexa.createMemoryStore();
+  await store.runAttendanceTransaction(KEY, ['2026-03'], () => ({
+    months: { '2026-03': { records: { '2026-03-02': true } } }
+  }));
+
+  const months = await store.getMonths(KEY, ['2026-02', '2026-03']);
+  assert.deepStrictEqual(Object.keys(months), ['2026-03']);
+  assert.deepStrictEqual(months['2026-03'].records, { '2026-03-02': true });
+});
+
+test('a transaction can read the history and pick months from it', async () => {
+  const store = alexa.createMemoryStore();
+  await store.runAttendanceTransaction(KEY, [], current => ({
+    history: { [current.historyId]: { type: 'change', changes: [{ date: '2026-03-02' }], changedAt: '2026-03-02T10:00:00.000Z' } }
+  }));
+
+  const read = [];
+  await store.runAttendanceTransaction(KEY, history => history.map(entry => entry.changes[0].date.substring(0, 7)), current => {
+    read.push(...current.history.map(entry => entry.type), ...Object.keys(current.months));
+    return {};
+  }, 5);
+
+  assert.deepStrictEqual(read, ['change', '2026-03']);
+});
+
+test('STORAGE_BACKEND=file keeps the data in a JSON file', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-'));
+  const file = path.join(dir, 'data.json');
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.STORAGE_FILE = file;
+  t.after(() => {
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.STORAGE_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Without a store set, the next call picks one from the environment
+  alexa.setStore(null);
+  await alexa.setDayStatus(KEY, '2026-03-02', 'present');
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(data.attendance[KEY].months['2026-03'].records, { '2026-03-02': true });
+});